@@ -1,48 +1,49 @@
-import * as THREE from 'three'
 import * as ENGINE from 'engine'
-import { GLTFLoader } from 'gltf-loader'
-import { DRACOLoader } from 'draco-loader'
 
-window.onload = () => 
+window.onload = async () => 
 {
-    const DRACO_DECODER_PATH = '../node_modules/three/examples/jsm/libs/draco/'
-    const ASSET_FOLDER = '../assets/'
-    const ENV_MAP_PATH = 'CGSkies_0339_freecopy.webp'
-    const MODEL_PATH = 'OWCO2182_FE0020T.glb'
-    const TEXTURES_PATHS = ['00_Fab_13.png', '00_Fab_14.png', '00_Fab_15.png']
-    const textures = []
-    let loader = new ENGINE.AssetLoader()
-    for(let i=0; i< TEXTURES_PATHS.length; i++)
-        loader.addLoader('Texture'+i, ASSET_FOLDER + TEXTURES_PATHS[i], new THREE.TextureLoader())
-    loader.addLoader('Envmap', ASSET_FOLDER + ENV_MAP_PATH, new THREE.TextureLoader())
-    let dracoLoader = new DRACOLoader()
-    dracoLoader.setDecoderPath(DRACO_DECODER_PATH)
-    let gltfLoader = new GLTFLoader()
-    gltfLoader.setDRACOLoader(dracoLoader)
-    loader.addLoader('Model', ASSET_FOLDER + MODEL_PATH, gltfLoader)
-    loader.execute(p=>{}, assetMap => 
+    const MANIFEST_PATH = new URLSearchParams(window.location.search).get('manifest') ?? 'model-styler.json'
+    const TRANSITION_IN_MS = 400
+
+    let builder = new ENGINE.SceneBuilder(MANIFEST_PATH)
+    builder.assetLoader.setRetryCount(2)
+    window.addEventListener('pagehide', e=>builder.assetLoader.cancel())
+    let scene
+    try
+    {
+        scene = await builder.build(document.querySelector('canvas'))
+    }
+    catch (error)
     {
-        let sceneManager = new ENGINE.SceneManager(document.querySelector('canvas'))
-        let cameraManager = new ENGINE.OrbitalCameraManager('Camera', 50, new THREE.Vector3(0, 50, 0))
-        cameraManager.setPosition(0, 50, 300)
-        cameraManager.addPitchRestriction(newPosition => { return [newPosition.y >= -200 && newPosition.y <= 300, newPosition] })
-        sceneManager.register(cameraManager)
-        sceneManager.setActiveCamera('Camera')
-        let ambientLight = new ENGINE.AmbientLight('AmbientLight', new THREE.Color(1, 1, 1), 1)
-        sceneManager.register(ambientLight)
-        let input = new ENGINE.InputManager('Input', document.querySelector('canvas'))
-        sceneManager.register(input)
-        cameraManager.registerInput(input)
-        let model = new ENGINE.MeshModel('Model', assetMap.get('Model'), true)
-        model.applyEnvmap(assetMap.get('Envmap'))
-        sceneManager.register(model)
-        let textureItemBaseId = 'texture-item'
-        for (let i=0; i<TEXTURES_PATHS.length; i++)
+        if (error.name != 'AbortError')
+            alert(error.message)
+        return
+    }
+    let model = scene.models.values().next().value
+    let target = scene.manifest.models[0].target
+    let history = new ENGINE.History()
+    history.registerShortcuts(scene.input)
+    let configuration = new ENGINE.Configuration(scene)
+    if (window.location.hash.length > 1)
+    {
+        try
         {
-            textures.push(assetMap.get('Texture'+i))
-            let textureItem = document.getElementById(textureItemBaseId+i)
-            textureItem.addEventListener('click', e=>model.applyTexture(textures[i]))
+            configuration.fromHash(window.location.hash)
         }
-        model.applyTexture(textures[0])
-    })
-}
\ No newline at end of file
+        catch (error)
+        {
+            alert(error.message)
+        }
+    }
+    configuration.syncUrlHash(history, document.querySelector('canvas'))
+    for (let textureJson of scene.manifest.textures)
+    {
+        let textureItem = document.getElementById(textureJson.element)
+        textureItem.addEventListener('click', e=>history.execute(model, ()=>model.applyTexture(scene.textures.get(textureJson.name), target, TRANSITION_IN_MS), textureJson.name))
+    }
+    for (let finishJson of scene.manifest.finishes ?? [])
+    {
+        let finishItem = document.getElementById(finishJson.element)
+        finishItem.addEventListener('click', e=>history.execute(model, ()=>model.applyFinish(scene.finishes.get(finishJson.name), target, TRANSITION_IN_MS), finishJson.name))
+    }
+}
@@ -1,74 +1,171 @@
-import * as THREE from 'three'
 import * as ENGINE from 'engine'
-import { GLTFLoader } from 'gltf-loader'
-import { DRACOLoader } from 'draco-loader'
 
-window.onload = () => 
+window.onload = async () => 
 {
-    const DRACO_DECODER_PATH = '../node_modules/three/examples/jsm/libs/draco/'
-    const ASSET_FOLDER = '../assets/'
-    const ENV_MAP_PATH = 'CGSkies_0339_freecopy.webp'
-    const MODEL_PATH = '1bhk.glb'
-    const TEXTURES_PATHS = ['00_Fab_13.png', '00_Fab_14.png', '00_Fab_15.png']
-    const Y_OFFSET = 0//-68
+    const MANIFEST_PATH = new URLSearchParams(window.location.search).get('manifest') ?? 'scene-styler.json'
+    const TRANSITION_IN_MS = 400
+    const DECAL_SIZE = 0.2
+    const DECAL_HIT_EPSILON = 0.001
+    const DECAL_SCALE_STEP = 1.25
+    const DECAL_ROTATION_STEP = Math.PI/12
 
-    const textures = []
     let selectedModel
-    let loader = new ENGINE.AssetLoader()
-    for(let i=0; i< TEXTURES_PATHS.length; i++)
-        loader.addLoader('Texture'+i, ASSET_FOLDER + TEXTURES_PATHS[i], new THREE.TextureLoader())
-    loader.addLoader('Envmap', ASSET_FOLDER + ENV_MAP_PATH, new THREE.TextureLoader())
-    let dracoLoader = new DRACOLoader()
-    dracoLoader.setDecoderPath(DRACO_DECODER_PATH)
-    let gltfLoader = new GLTFLoader()
-    gltfLoader.setDRACOLoader(dracoLoader)
-    loader.addLoader('Model', ASSET_FOLDER + MODEL_PATH, gltfLoader)
-    loader.execute(p=>{}, assetMap => 
+    let selectedHit
+    let selectedDecal
+    let builder = new ENGINE.SceneBuilder(MANIFEST_PATH)
+    builder.assetLoader.setRetryCount(2)
+    window.addEventListener('pagehide', e=>builder.assetLoader.cancel())
+    let scene
+    try
     {
-        let sceneManager = new ENGINE.SceneManager(document.querySelector('canvas'), true)
-        let cameraManager = new ENGINE.StaticCameraManager('Camera', 50)
-        sceneManager.register(cameraManager)
-        sceneManager.setActiveCamera('Camera')
-        let ambientLight = new ENGINE.AmbientLight('AmbientLight', new THREE.Color(1, 1, 1), 1)
-        sceneManager.register(ambientLight)
-        let input = new ENGINE.InputManager('Input', document.querySelector('canvas'))
-        sceneManager.register(input)
-        cameraManager.registerInput(input)
-        let model = new ENGINE.MeshModel('Model', assetMap.get('Model'), true)
-        model.setPosition(2, -1.5, -4)
-        model.applyEnvmap(assetMap.get('Envmap'))
-        model.enableRayCastingOnTriMesh(true)
-        sceneManager.register(model)
-        let textureItemBaseId = 'texture-item'
-        for (let i=0; i<TEXTURES_PATHS.length; i++)
+        scene = await builder.build(document.querySelector('canvas'))
+    }
+    catch (error)
+    {
+        if (error.name != 'AbortError')
+            alert(error.message)
+        return
+    }
+    let sceneManager = scene.sceneManager
+    sceneManager.setRenderOnDemand(true)
+    let history = new ENGINE.History()
+    history.registerShortcuts(scene.input)
+    let configuration = new ENGINE.Configuration(scene)
+    if (window.location.hash.length > 1)
+    {
+        try
         {
-            textures.push(assetMap.get('Texture'+i))
-            let textureItem = document.getElementById(textureItemBaseId+i)
-            textureItem.addEventListener('click', e=>
-            {
-                if (selectedModel != undefined && selectedModel != null)
-                    selectedModel.material.map = textures[i]
-            })
+            configuration.fromHash(window.location.hash)
         }
-
-        let canvas = document.querySelector('canvas')
-        canvas.addEventListener('click', e => {
-            let rasterCoord = { x: e.screenX, y: e.screenY + Y_OFFSET }
-            let hitData = sceneManager.shootRayFromCamera(rasterCoord, true)
-            if (hitData.length > 0)
-                selectedModel = hitData[0].object
+        catch (error)
+        {
+            alert(error.message)
+        }
+    }
+    let canvas = document.querySelector('canvas')
+    configuration.syncUrlHash(history, canvas)
+    history.registerChangeEvent(()=>
+    {
+        if (selectedDecal != undefined && selectedDecal != null && selectedDecal.mesh.parent == null)
+            selectedDecal = null
+    })
+    for (let textureJson of scene.manifest.textures)
+    {
+        let textureItem = document.getElementById(textureJson.element)
+        textureItem.addEventListener('click', e=>
+        {
+            if (textureJson.decal)
+            {
+                let model = findModel(scene, (selectedHit != undefined && selectedHit != null) ? selectedHit.object : null)
+                if (model != null)
+                    selectedDecal = placeDecal(history, model, scene.textures.get(textureJson.name), selectedHit, textureJson.decalSize ?? DECAL_SIZE)
+            }
+            else
+            {
+                let model = findModel(scene, selectedModel)
+                if (model != null)
+                {
+                    let material = (Array.isArray(selectedModel.material)) ? selectedModel.material[selectedHit.face.materialIndex] : selectedModel.material
+                    history.execute(model, ()=>model.applyTexture(scene.textures.get(textureJson.name), material, TRANSITION_IN_MS), textureJson.name)
+                }
+            }
         })
+    }
 
-        let downloadBtn = document.getElementById('download-btn')
-        downloadBtn.addEventListener('click', e=>downloadSceneAsImage(canvas))
+    canvas.addEventListener('click', e => {
+        let rasterCoord = sceneManager.clientToRaster(e.clientX, e.clientY)
+        let hitData = sceneManager.shootRayFromCamera(rasterCoord, true)
+        if (hitData.length == 0)
+            return
+        let decalHit = hitData.find(hit => hit.object.userData.isDecal && hit.distance - hitData[0].distance < DECAL_HIT_EPSILON)
+        if (e.shiftKey && selectedDecal != undefined && selectedDecal != null)
+        {
+            let decal = selectedDecal
+            history.execute(decal, ()=>decal.moveTo(hitData.find(hit => !hit.object.userData.isDecal) ?? hitData[0]), 'Move decal')
+        }
+        else if (decalHit != undefined)
+            selectedDecal = findModel(scene, decalHit.object).findDecal(decalHit.object)
+        else
+        {
+            selectedModel = hitData[0].object
+            selectedHit = hitData[0]
+            selectedDecal = null
+        }
     })
+    let changeDecal = (change, name)=>
+    {
+        let decal = selectedDecal
+        if (decal != undefined && decal != null)
+            history.execute(decal, ()=>change(decal), name)
+    }
+    scene.input.registerShortcut('=', ()=>changeDecal(decal=>decal.setSize(decal.size * DECAL_SCALE_STEP), 'Resize decal'))
+    scene.input.registerShortcut('-', ()=>changeDecal(decal=>decal.setSize(decal.size / DECAL_SCALE_STEP), 'Resize decal'))
+    scene.input.registerShortcut(']', ()=>changeDecal(decal=>decal.setRotation(decal.rotation + DECAL_ROTATION_STEP), 'Rotate decal'))
+    scene.input.registerShortcut('[', ()=>changeDecal(decal=>decal.setRotation(decal.rotation - DECAL_ROTATION_STEP), 'Rotate decal'))
+    scene.input.registerShortcut('Delete', ()=>
+    {
+        if (selectedDecal != undefined && selectedDecal != null)
+        {
+            removeDecal(history, findModel(scene, selectedDecal.mesh), selectedDecal)
+            selectedDecal = null
+        }
+    })
+
+    let downloadBtn = document.getElementById('download-btn')
+    downloadBtn.addEventListener('click', e=>downloadSceneAsImage(sceneManager))
+}
+
+/**
+ * Finds the model that holds the threejs object, e.g. the object of a ray cast hit
+ * @param {any} scene the object returned by SceneBuilder.build
+ * @param {THREE.Object3D} threeJsObject threejs object
+ * @returns {ENGINE.MeshModel} the model, or null if the object does not belong to a mesh model
+ */
+function findModel(scene, threeJsObject)
+{
+    if (threeJsObject == undefined || threeJsObject == null)
+        return null
+    for (let model of scene.models.values())
+    {
+        if (model.hasObject != undefined && model.hasObject(threeJsObject))
+            return model
+    }
+    return null
+}
+
+/**
+ * Places the decal at the hit point and records it in the history, so that undoing removes the decal and redoing adds the same decal back
+ * @param {ENGINE.History} history the history
+ * @param {ENGINE.MeshModel} model the model
+ * @param {THREE.Texture} texture image of the decal
+ * @param {any} hitData hit data of the point where the decal is placed
+ * @param {Number} size width of the decal
+ * @returns {ENGINE.Decal} the decal
+ */
+function placeDecal(history, model, texture, hitData, size)
+{
+    let decal = model.addDecal(texture, hitData, size)
+    history.push({ name: 'Decal', undo: ()=>model.removeDecal(decal), redo: ()=>model.insertDecal(decal) })
+    return decal
+}
+
+/**
+ * Removes the decal and records it in the history, so that undoing adds the same decal back
+ * @param {ENGINE.History} history the history
+ * @param {ENGINE.MeshModel} model the model
+ * @param {ENGINE.Decal} decal the decal
+ */
+function removeDecal(history, model, decal)
+{
+    model.removeDecal(decal)
+    history.push({ name: 'Remove decal', undo: ()=>model.insertDecal(decal), redo: ()=>model.removeDecal(decal) })
 }
 
-function downloadSceneAsImage(canvas)
+function downloadSceneAsImage(sceneManager)
 {
     var link = document.createElement('a');
     link.download = 'filename.jpg';
-    link.href = canvas.toDataURL('image/jpeg')
+    link.href = sceneManager.captureImage('image/jpeg')
     link.click();
     alert('download complete')
 }
\ No newline at end of file
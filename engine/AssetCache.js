@@ -0,0 +1,173 @@
+/**
+ * Persistent cache that stores the downloaded bytes of assets in IndexedDB. Every record is keyed by the asset url and
+ * carries a version, so a record is only used while the version asked for matches the version it was stored with.
+ * Least recently used records are evicted once the total size of the cache exceeds the quota.
+ */
+export class AssetCache
+{
+    /**
+     * @param {String} dbName name of the IndexedDB database
+     * @param {Number} quotaInBytes maximum total size of the cached assets in bytes
+     */
+    constructor(dbName, quotaInBytes)
+    {
+        this.dbName = (dbName != undefined && dbName != null) ? dbName : 'asset-cache'
+        this.quotaInBytes = (quotaInBytes != undefined && quotaInBytes != null) ? quotaInBytes : 256 * 1024 * 1024
+        this.storeName = 'assets'
+        this.dbPromise = null
+    }
+
+    /**
+     * Sets the maximum total size of the cached assets. Evicts least recently used records if the cache is already bigger.
+     * @param {Number} quotaInBytes maximum total size of the cached assets in bytes
+     * @returns {Promise} promise that resolves once the eviction is done
+     */
+    setQuota(quotaInBytes)
+    {
+        this.quotaInBytes = quotaInBytes
+        return this.evict()
+    }
+
+    /**
+     * Returns the cached bytes of the asset
+     * @param {String} url asset url
+     * @param {String} version version of the asset. A record stored with another version is deleted.
+     * @returns {Promise<Blob>} promise that resolves to the cached bytes or null if the asset is not cached
+     */
+    get(url, version)
+    {
+        version = toVersion(version)
+        return this.transaction('readwrite', store => toPromise(store.get(url)).then(record => {
+            if (record == undefined)
+                return null
+            if (record.version != version)
+            {
+                store.delete(url)
+                return null
+            }
+            record.lastAccess = Date.now()
+            store.put(record)
+            return record.blob
+        }))
+    }
+
+    /**
+     * Stores the bytes of the asset and evicts least recently used records if the quota is exceeded.
+     * Assets bigger than the quota are not stored.
+     * @param {String} url asset url
+     * @param {String} version version of the asset
+     * @param {Blob} blob bytes of the asset
+     * @returns {Promise} promise that resolves once the asset is stored
+     */
+    put(url, version, blob)
+    {
+        if (blob.size > this.quotaInBytes)
+            return Promise.resolve()
+        let record = { url: url, version: toVersion(version), blob: blob, size: blob.size, lastAccess: Date.now() }
+        return this.transaction('readwrite', store => toPromise(store.put(record))).then(() => this.evict())
+    }
+
+    /**
+     * Deletes the cached asset
+     * @param {String} url asset url
+     * @returns {Promise} promise that resolves once the asset is deleted
+     */
+    delete(url) { return this.transaction('readwrite', store => toPromise(store.delete(url))) }
+
+    /**
+     * Deletes all cached assets
+     * @returns {Promise} promise that resolves once the cache is empty
+     */
+    clear() { return this.transaction('readwrite', store => toPromise(store.clear())) }
+
+    /**
+     * Returns the total size of the cached assets
+     * @returns {Promise<Number>} promise that resolves to the total size in bytes
+     */
+    getSize()
+    {
+        return this.transaction('readonly', store => toPromise(store.getAll())).then(records => {
+            let size = 0
+            for (let record of records)
+                size += record.size
+            return size
+        })
+    }
+
+    /**
+     * Deletes least recently used records until the total size of the cache is within the quota
+     * @returns {Promise} promise that resolves once the eviction is done
+     */
+    evict()
+    {
+        return this.transaction('readwrite', store => toPromise(store.getAll()).then(records => {
+            let size = 0
+            for (let record of records)
+                size += record.size
+            records.sort((r1, r2) => r1.lastAccess - r2.lastAccess)
+            for (let i=0; i<records.length && size > this.quotaInBytes; i++)
+            {
+                store.delete(records[i].url)
+                size -= records[i].size
+            }
+        }))
+    }
+
+    /**
+     * Runs the given operation within a transaction on the asset store
+     * @param {String} mode transaction mode, either 'readonly' or 'readwrite'
+     * @param {Function} operation callback that receives the object store and returns a promise
+     * @returns {Promise} promise that resolves to the result of the operation once the transaction is complete
+     */
+    transaction(mode, operation)
+    {
+        return this.open().then(db => {
+            let transaction = db.transaction(this.storeName, mode)
+            let result = operation(transaction.objectStore(this.storeName))
+            let completion = new Promise((resolve, reject) => {
+                transaction.oncomplete = () => resolve()
+                transaction.onerror = () => reject(transaction.error)
+                transaction.onabort = () => reject(transaction.error)
+            })
+            return Promise.all([result, completion]).then(values => values[0])
+        })
+    }
+
+    /**
+     * Opens the database once and creates the asset store if it does not exist
+     * @returns {Promise<IDBDatabase>} promise that resolves to the opened database
+     */
+    open()
+    {
+        if (this.dbPromise == null)
+        {
+            if (typeof indexedDB == 'undefined')
+                return Promise.reject(new Error('IndexedDB is not available'))
+            let request = indexedDB.open(this.dbName, 1)
+            request.onupgradeneeded = () => request.result.createObjectStore(this.storeName, { keyPath: 'url' })
+            this.dbPromise = toPromise(request)
+            this.dbPromise.catch(() => this.dbPromise = null)
+        }
+        return this.dbPromise
+    }
+}
+
+/**
+ * Wraps an IndexedDB request into a promise
+ * @param {IDBRequest} request IndexedDB request
+ * @returns {Promise} promise that resolves to the result of the request
+ */
+function toPromise(request)
+{
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+    })
+}
+
+/**
+ * Converts the version into the form stored in the records
+ * @param {any} version version of the asset
+ * @returns {String} version as string, empty if no version is given
+ */
+function toVersion(version) { return (version != undefined && version != null) ? String(version) : '' }
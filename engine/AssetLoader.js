@@ -1,24 +1,184 @@
+import * as THREE from 'three'
+import { GLTFLoader } from '../node_modules/three/examples/jsm/loaders/GLTFLoader.js'
+import { DRACOLoader } from '../node_modules/three/examples/jsm/loaders/DRACOLoader.js'
+
+/**
+ * Decides what happens to the remaining assets once an asset fails to load even after all retries
+ */
+export const FailurePolicy =
+{
+    ABORT : 'abort',
+    CONTINUE : 'continue'
+}
+
 /**
  * Wraps AssetLoaderCore
  */
 export class AssetLoader
 {
-    constructor() { this.core = new AssetLoaderCore() }
+    /**
+     * @param {Number} maxConcurrentLoads maximum number of assets that are downloaded at the same time
+     */
+    constructor(maxConcurrentLoads) 
+    { 
+        this.core = new AssetLoaderCore(maxConcurrentLoads)
+        this.lastExecution = Promise.resolve()
+        this.cancelCount = 0
+    }
 
     /**
      * Delegates call to AssetLoaderCore addLoader
      * @param {String} name used as key within the asset map
      * @param {String} url asset url
-     * @param {THREE.Loader} loader loader through which the asset is to be loaded
+     * @param {THREE.Loader | String} loader optional loader through which the asset is to be loaded. If it is not given then the
+     * loader is picked from the loader registry by the url. If it is a string then it is looked up in the registry as a MIME type or extension.
+     * @param {String | Boolean} cacheVersion optional version of the asset in the cache, such as a content hash. Defaults to the version
+     * set through setCacheVersion. If it is false then the asset is always downloaded and never stored in the cache.
+     * @param {Number} sizeInBytes optional download size of the asset used for weighting the progress
+     */
+    addLoader(name, url, loader, cacheVersion, sizeInBytes) { this.core.addLoader(name, url, loader, cacheVersion, sizeInBytes) }
+
+    /**
+     * Sets the persistent cache through which the assets are loaded. The cache is disabled by default.
+     * @param {AssetCache} cache the cache object or null to disable caching
+     */
+    setCache(cache) { this.core.cache = cache }
+
+    /**
+     * Sets the version of the assets that do not carry their own cache version. Cached assets of another version are downloaded again.
+     * @param {String} version version of the assets, such as the version of the manifest
+     */
+    setCacheVersion(version) { this.core.cacheVersion = version }
+
+    /**
+     * Registers a loader for the given file extensions and MIME types
+     * @param {THREE.Loader} loader loader through which the files are to be loaded
+     * @param {Array} extensions file extensions without the leading dot. Eg. : ['glb', 'gltf']
+     * @param {Array} mimeTypes optional MIME types. Eg. : ['model/gltf-binary']
+     */
+    registerLoader(loader, extensions, mimeTypes) { this.core.loaderRegistry.register(loader, extensions, mimeTypes) }
+
+    /**
+     * Sets the path of the draco decoder used by the registered gltf loader
+     * @param {String} path path of the folder containing the draco decoder files
+     */
+    setDracoDecoderPath(path) { this.core.loaderRegistry.setDracoDecoderPath(path) }
+
+    /**
+     * Sets the maximum number of assets that are downloaded at the same time
+     * @param {Number} maxConcurrentLoads maximum number of parallel downloads
+     */
+    setMaxConcurrentLoads(maxConcurrentLoads) { this.core.setMaxConcurrentLoads(maxConcurrentLoads) }
+
+    /**
+     * Sets the number of times a failed asset is downloaded again. The delay before each retry is doubled after every attempt.
+     * @param {Number} retryCount number of retries after the first failed attempt
+     * @param {Number} retryDelayInMs delay before the first retry in milliseconds
      */
-    addLoader(name, url, loader) { this.core.addLoader(name, url, loader) }
+    setRetryCount(retryCount, retryDelayInMs) { this.core.setRetryCount(retryCount, retryDelayInMs) }
 
     /**
-     * Delegates call to AssetLoaderCore load
+     * Sets the duration after which an attempt to download an asset is considered failed. 0 disables the timeout.
+     * @param {Number} timeoutInMs timeout duration in milliseconds
+     */
+    setTimeoutInMs(timeoutInMs) { this.core.timeoutInMs = timeoutInMs }
+
+    /**
+     * Sets what happens to the remaining assets once an asset fails to load.
+     * @param {String} failurePolicy one of the values of FailurePolicy
+     */
+    setFailurePolicy(failurePolicy) { this.core.failurePolicy = failurePolicy }
+
+    /**
+     * Enables sending HEAD requests for the assets whose size is not given, so that their size is known before their download starts.
+     * @param {Boolean} enable if true then the size of the assets is queried through HEAD requests
+     */
+    enableSizeQuery(enable) { this.core.sizeQueryEnabled = enable }
+
+    /**
+     * Loads the assets added so far. A call made while a previous execute or executeAsync call is still loading waits for
+     * it to finish first, so more assets can be added and loaded later at any time.
+     * @param {Function} onProgress callback that is called while the assets are loading
+     * @param {Function} onComplete callback that is called after all assets are loaded. It receives the asset map and
+     * the names of the assets that failed to load. Failed assets are stored in the asset map with null value.
+     * @param {Function} onError callback that is called with name, url and error of an asset that failed to load after all retries.
+     * If the failure policy is FailurePolicy.ABORT then it is called only for the first failed asset, as the last callback of
+     * the load, and onComplete is not called.
+     * @param {Function} onCancel callback that is called if the loading is cancelled
+     */
+    execute(onProgress, onComplete, onError, onCancel) { this.enqueue(this.core.takeEntries(), onProgress, onComplete, onError, onCancel) }
+
+    /**
+     * Loads the assets added so far and returns a promise instead of taking callbacks.
+     * A call made while a previous execute or executeAsync call is still loading waits for it to finish first,
+     * so more assets can be added and loaded later at any time.
+     * @param {Function} onProgress optional callback that is called while the assets are loading
+     * @returns {Promise<Map>} promise that resolves to the asset map. If the failure policy is FailurePolicy.ABORT
+     * then the promise rejects with an error naming the asset that failed. If the loading is cancelled then the promise
+     * rejects with an AbortError.
+     */
+    executeAsync(onProgress)
+    {
+        let entries = this.core.takeEntries()
+        return new Promise((resolve, reject)=>{
+            this.enqueue(entries, onProgress, assetMap=>resolve(assetMap), (name, url, error)=>{
+                if (this.core.failurePolicy != FailurePolicy.CONTINUE)
+                    reject(new Error('Failed to load '+name+' from '+url, { cause: error }))
+            }, ()=>reject(new DOMException('Loading was cancelled', 'AbortError')))
+        })
+    }
+
+    /**
+     * Loads the entries once all the loads queued before them have finished. The entries are dropped if the loader is
+     * cancelled before their turn comes.
+     * @param {Array} entries array of name, url and loader of each asset
      * @param {Function} onProgress callback that is called while the assets are loading
      * @param {Function} onComplete callback that is called after all assets are loaded
+     * @param {Function} onError callback that is called whenever an asset fails to load after all retries
+     * @param {Function} onCancel callback that is called if the loading is cancelled
+     */
+    enqueue(entries, onProgress, onComplete, onError, onCancel)
+    {
+        if (onProgress == undefined)
+            onProgress = p=>{}
+        if (onComplete == undefined)
+            onComplete = (m, f)=>{}
+        if (onError == undefined)
+            onError = (n, u, e)=>{}
+        if (onCancel == undefined)
+            onCancel = ()=>{}
+        let cancelCount = this.cancelCount
+        let execution = this.lastExecution.then(()=>new Promise(resolve=>{
+            if (cancelCount != this.cancelCount)
+            {
+                resolve()
+                onCancel()
+                return
+            }
+            this.core.loadEntries(entries, onProgress, (assetMap, failedNames)=>{
+                resolve()
+                onComplete(assetMap, failedNames)
+            }, (name, url, error)=>{
+                if (this.core.failurePolicy != FailurePolicy.CONTINUE)
+                    resolve()
+                onError(name, url, error)
+            }, ()=>{
+                resolve()
+                onCancel()
+            })
+        }))
+        this.lastExecution = execution.catch(e=>setTimeout(()=>{ throw e }))
+    }
+
+    /**
+     * Cancels the running and the queued loads, aborts the downloads in flight and discards the assets added so far.
      */
-    execute(onProgress, onComplete) { this.core.load(0, onProgress, onComplete) }
+    cancel()
+    {
+        this.cancelCount++
+        this.core.takeEntries()
+        this.core.cancel()
+    }
 }
 
 /**
@@ -26,51 +186,508 @@ export class AssetLoader
  */
 class AssetLoaderCore
 {
-    constructor()
+    /**
+     * @param {Number} maxConcurrentLoads maximum number of assets that are downloaded at the same time
+     */
+    constructor(maxConcurrentLoads)
     {
-        this.map = new Map()
+        this.loaderRegistry = new LoaderRegistry()
+        this.cache = null
+        this.cacheVersion = null
         this.urls = []
+        this.entries = []
+        this.states = []
         this.assetMap = new Map()
+        this.failedNames = []
+        this.controllers = new Set()
+        this.maxConcurrentLoads = 4
+        this.retryCount = 0
+        this.retryDelayInMs = 500
+        this.timeoutInMs = 0
+        this.failurePolicy = FailurePolicy.ABORT
+        this.sizeQueryEnabled = false
+        this.running = false
+        this.aborted = false
+        this.runId = 0
+        this.onCancel = ()=>{}
+        this.nextIndex = 0
+        this.loadedCount = 0
+        this.lastProgress = 0
+        this.setMaxConcurrentLoads(maxConcurrentLoads)
     }
-    
+
     /**
-     * Adds the url and the loader for the asset
+     * Adds the url and the loader for the asset. Throws an error if no loader is given and none is registered for the url.
      * @param {String} name used as key within the asset map
      * @param {String} url asset url
-     * @param {THREE.Loader} loader loader through which the asset is to be loaded
+     * @param {THREE.Loader | String} loader loader through which the asset is to be loaded, or a MIME type or extension to look up in the registry
+     * @param {String | Boolean} cacheVersion optional version of the asset in the cache, or false to bypass the cache
+     * @param {Number} sizeInBytes optional download size of the asset
+     */
+    addLoader(name, url, loader, cacheVersion, sizeInBytes) 
+    { 
+        if (loader == undefined || loader == null || typeof loader == 'string')
+            loader = this.loaderRegistry.getLoader(url, loader)
+        if (loader == undefined)
+            throw new Error('No loader is registered for '+url)
+        this.urls.push({ name: name, url: url, loader: loader, cacheVersion: cacheVersion, size: sizeInBytes }) 
+    }
+
+    /**
+     * Sets the maximum number of assets that are downloaded at the same time
+     * @param {Number} maxConcurrentLoads maximum number of parallel downloads
+     */
+    setMaxConcurrentLoads(maxConcurrentLoads)
+    {
+        if (maxConcurrentLoads != undefined && maxConcurrentLoads != null && maxConcurrentLoads > 0)
+            this.maxConcurrentLoads = maxConcurrentLoads
+    }
+
+    /**
+     * Sets the number of times a failed asset is downloaded again
+     * @param {Number} retryCount number of retries after the first failed attempt
+     * @param {Number} retryDelayInMs delay before the first retry in milliseconds
+     */
+    setRetryCount(retryCount, retryDelayInMs)
+    {
+        this.retryCount = retryCount
+        if (retryDelayInMs != undefined && retryDelayInMs != null)
+            this.retryDelayInMs = retryDelayInMs
+    }
+
+    /**
+     * Starts loading the assets added so far. Assets added while loading is in progress are picked up by the next call.
+     * @param {Function} onProgress callback that is called while the assets are loading
+     * @param {Function} onComplete callback that is called after all assets are loaded
+     * @param {Function} onError callback that is called whenever an asset fails to load after all retries
+     * @param {Function} onCancel callback that is called if the loading is cancelled
+     */
+    load(onProgress, onComplete, onError, onCancel) { this.loadEntries(this.takeEntries(), onProgress, onComplete, onError, onCancel) }
+
+    /**
+     * Returns the assets added so far and removes them from the loader
+     * @returns {Array} array of name, url and loader of each asset
      */
-    addLoader(name, url, loader)
+    takeEntries()
     {
-        this.map.set(url, loader)
-        this.urls.push({ name: name, url: url })
+        let entries = this.urls
+        this.urls = []
+        return entries
     }
 
     /**
-     * Starts loading assets.
-     * @param {Number} index index of asset url in urls array.
+     * Starts loading the given assets. At most maxConcurrentLoads assets are downloaded at the same time.
+     * @param {Array} entries array of name, url and loader of each asset
      * @param {Function} onProgress callback that is called while the assets are loading
      * @param {Function} onComplete callback that is called after all assets are loaded
+     * @param {Function} onError callback that is called whenever an asset fails to load after all retries
+     * @param {Function} onCancel callback that is called if the loading is cancelled
      */
-    load(index, onProgress, onComplete)
+    loadEntries(entries, onProgress, onComplete, onError, onCancel)
     {
-        if (index >= this.urls.length)
-        {    
-            onComplete(this.assetMap)
+        if (onError == undefined)
+            onError = (n, u, e)=>{}
+        this.onCancel = (onCancel != undefined) ? onCancel : ()=>{}
+        this.running = true
+        this.aborted = false
+        this.runId++
+        this.nextIndex = 0
+        this.loadedCount = 0
+        this.lastProgress = 0
+        this.failedNames = []
+        this.entries = entries
+        this.states = []
+        for (let entry of entries)
+            this.states.push({ total: (entry.size != undefined && entry.size != null) ? entry.size : 0, loaded: 0, done: false })
+        if (this.entries.length == 0)
+            this.complete(onComplete)
+        else
+        {
+            if (this.sizeQueryEnabled)
+                this.querySizes()
+            let loadCount = Math.min(this.maxConcurrentLoads, this.entries.length)
+            for (let i=0; i<loadCount; i++)
+                this.loadNext(onProgress, onComplete, onError)
+        }
+    }
+
+    /**
+     * Cancels the running load. Downloads in flight are aborted and no further callbacks are made except onCancel.
+     */
+    cancel()
+    {
+        if (this.running)
+        {
+            this.running = false
+            this.aborted = true
+            for (let controller of this.controllers)
+                controller.abort()
+            this.controllers.clear()
             this.assetMap.clear()
+            this.onCancel()
         }
+    }
+
+    /**
+     * Sends HEAD requests for the http assets whose size is not known yet
+     */
+    querySizes()
+    {
+        let controller = new AbortController()
+        this.controllers.add(controller)
+        for (let i=0; i<this.entries.length; i++)
+        {
+            let state = this.states[i]
+            if (state.total == 0 && /^https?:/i.test(new URL(this.entries[i].url, document.baseURI).protocol))
+            {
+                fetch(this.entries[i].url, { method: 'HEAD', signal: controller.signal }).then(response=>{
+                    let size = Number(response.headers.get('Content-Length'))
+                    if (size > 0 && state.total == 0)
+                        state.total = size
+                }).catch(e=>{})
+            }
+        }
+    }
+
+    /**
+     * Starts downloading the next asset in the entries array that has not been picked up yet.
+     * @param {Function} onProgress callback that is called while the assets are loading
+     * @param {Function} onComplete callback that is called after all assets are loaded
+     * @param {Function} onError callback that is called whenever an asset fails to load after all retries
+     */
+    loadNext(onProgress, onComplete, onError) { this.loadAsset(this.nextIndex++, 0, onProgress, onComplete, onError) }
+
+    /**
+     * Makes one attempt to download the asset at the given index. The request of an attempt that has timed out is aborted.
+     * Callbacks of an attempt that belongs to a cancelled or an earlier load are ignored.
+     * @param {Number} index index of asset in entries array
+     * @param {Number} attempt number of attempts made before this one
+     * @param {Function} onProgress callback that is called while the assets are loading
+     * @param {Function} onComplete callback that is called after all assets are loaded
+     * @param {Function} onError callback that is called whenever an asset fails to load after all retries
+     */
+    loadAsset(index, attempt, onProgress, onComplete, onError)
+    {
+        if (this.aborted)
+            return
+        let entry = this.entries[index]
+        let state = this.states[index]
+        let runId = this.runId
+        let controller = new AbortController()
+        this.controllers.add(controller)
+        let settled = false
+        let timer = null
+        let settle = () =>
+        {
+            if (settled || this.aborted || runId != this.runId)
+                return false
+            settled = true
+            clearTimeout(timer)
+            this.controllers.delete(controller)
+            return true
+        }
+        let onFailure = error =>
+        {
+            if (settle())
+            {
+                controller.abort()
+                state.loaded = 0
+                if (attempt < this.retryCount)
+                {
+                    setTimeout(()=>{
+                        if (runId == this.runId)
+                            this.loadAsset(index, attempt + 1, onProgress, onComplete, onError)
+                    }, this.retryDelayInMs * Math.pow(2, attempt))
+                }
+                else
+                    this.onAssetFailed(index, error, onProgress, onComplete, onError)
+            }
+        }
+        if (this.timeoutInMs > 0)
+            timer = setTimeout(()=>onFailure(new Error('Timed out after '+this.timeoutInMs+' ms while loading '+entry.url)), this.timeoutInMs)
+        this.fetchAsset(entry, controller.signal, asset=>{
+            if (settle())
+            {
+                this.assetMap.set(entry.name, asset)
+                this.onAssetSettled(index, onProgress, onComplete, onError)
+            }
+        }, (event)=>{
+            if (!settled && !this.aborted && runId == this.runId)
+            {
+                if (event.total > 0)
+                    state.total = event.total
+                state.loaded = event.loaded
+                onProgress(this.getProgress())
+            }
+        }, error=>onFailure(error))
+    }
+
+    /**
+     * Downloads the bytes of the asset and hands them to its loader. If a cache is set and the asset does not bypass it,
+     * then the bytes are read from the cache, or stored in the cache after being downloaded.
+     * @param {any} entry name, url, loader and cache version of the asset
+     * @param {AbortSignal} signal signal through which the download is aborted
+     * @param {Function} onLoad callback that receives the loaded asset
+     * @param {Function} onProgress callback that receives the download progress in the form of a progress event
+     * @param {Function} onError callback that receives the error
+     */
+    fetchAsset(entry, signal, onLoad, onProgress, onError)
+    {
+        let useCache = this.cache != null && entry.cacheVersion !== false
+        let version = (entry.cacheVersion != undefined && entry.cacheVersion != null) ? entry.cacheVersion : this.cacheVersion
+        let cached = (useCache) ? this.cache.get(entry.url, version).catch(e=>null) : Promise.resolve(null)
+        cached.then(blob=>{
+            if (blob != null)
+                return blob
+            return this.download(entry, signal, onProgress).then(blob=>{
+                if (useCache)
+                    this.cache.put(entry.url, version, blob).catch(e=>{})
+                return blob
+            })
+        }).then(blob=>this.parseBlob(entry, blob, onLoad, onError)).catch(onError)
+    }
+
+    /**
+     * Downloads the bytes of the asset using the path, url modifier, request headers and credentials set on its loader
+     * @param {any} entry name, url and loader of the asset
+     * @param {AbortSignal} signal signal through which the download is aborted
+     * @param {Function} onProgress callback that receives the download progress in the form of a progress event
+     * @returns {Promise<Blob>} promise that resolves to the downloaded bytes
+     */
+    download(entry, signal, onProgress)
+    {
+        let options = { signal: signal, headers: entry.loader.requestHeader, credentials: (entry.loader.withCredentials) ? 'include' : 'same-origin' }
+        return fetch(this.resolveUrl(entry), options).then(response=>{
+            if (!response.ok)
+                throw new Error('Failed to download '+entry.url+' with status '+response.status)
+            let total = Number(response.headers.get('Content-Length'))
+            let type = response.headers.get('Content-Type')
+            let reader = response.body.getReader()
+            let chunks = []
+            let loaded = 0
+            let read = () => reader.read().then(result=>{
+                if (result.done)
+                    return new Blob(chunks, (type != null) ? { type: type } : {})
+                chunks.push(result.value)
+                loaded += result.value.byteLength
+                onProgress({ loaded: loaded, total: (total > 0) ? total : 0 })
+                return read()
+            })
+            return read()
+        })
+    }
+
+    /**
+     * Hands the bytes of the asset to its loader. Gltf files are parsed directly so that their external resources are
+     * still resolved against the asset url, while every other loader loads the bytes through an object url, to which the
+     * path of the loader is not prepended since it is already part of the downloaded url.
+     * @param {any} entry name, url and loader of the asset
+     * @param {Blob} blob bytes of the asset
+     * @param {Function} onLoad callback that receives the loaded asset
+     * @param {Function} onError callback that receives the error
+     */
+    parseBlob(entry, blob, onLoad, onError)
+    {
+        if (entry.loader instanceof GLTFLoader)
+            blob.arrayBuffer().then(buffer=>entry.loader.parse(buffer, THREE.LoaderUtils.extractUrlBase(this.resolveUrl(entry)), onLoad, onError)).catch(onError)
         else
         {
-            let loader = this.map.get(this.urls[index].url)
-            loader.load(this.urls[index].url, asset=>{
-                this.map.delete(this.urls[index].url)
-                this.assetMap.set(this.urls[index].name, asset)
-                onProgress(Math.round(((index + 1)/this.urls.length) * 100))
-                this.load(++index, onProgress, onComplete)
-            }, (xhr)=>{
-                let localProgress = Math.round((xhr.loaded/ xhr.total) * 100)
-                let globalProgress = index * 100
-                onProgress(Math.round((localProgress + globalProgress)/this.urls.length))
+            let objectUrl = URL.createObjectURL(blob)
+            let path = entry.loader.path
+            entry.loader.path = ''
+            entry.loader.load(objectUrl, asset=>{
+                URL.revokeObjectURL(objectUrl)
+                onLoad(asset)
+            }, undefined, error=>{
+                URL.revokeObjectURL(objectUrl)
+                onError(error)
             })
+            entry.loader.path = path
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * Returns the url the asset is downloaded from, i.e. its url behind the path of its loader, passed through the url
+     * modifier of the loading manager of the loader
+     * @param {any} entry url and loader of the asset
+     * @returns {String} the resolved url
+     */
+    resolveUrl(entry)
+    {
+        let url = (entry.loader.path != undefined && entry.loader.path != null) ? entry.loader.path + entry.url : entry.url
+        return (entry.loader.manager != undefined) ? entry.loader.manager.resolveURL(url) : url
+    }
+
+    /**
+     * Reports the failed asset and either stops loading or carries on based on the failure policy. When loading stops,
+     * the failed asset is reported after everything else is stopped, so that its report is the last callback of the load.
+     * @param {Number} index index of asset in entries array
+     * @param {any} error error reported by the loader
+     * @param {Function} onProgress callback that is called while the assets are loading
+     * @param {Function} onComplete callback that is called after all assets are loaded
+     * @param {Function} onError callback that is called whenever an asset fails to load after all retries
+     */
+    onAssetFailed(index, error, onProgress, onComplete, onError)
+    {
+        let entry = this.entries[index]
+        if (this.failurePolicy == FailurePolicy.CONTINUE)
+        {
+            onError(entry.name, entry.url, error)
+            this.failedNames.push(entry.name)
+            this.assetMap.set(entry.name, null)
+            this.onAssetSettled(index, onProgress, onComplete, onError)
+        }
+        else
+        {
+            this.running = false
+            this.aborted = true
+            for (let controller of this.controllers)
+                controller.abort()
+            this.controllers.clear()
+            this.assetMap.clear()
+            onError(entry.name, entry.url, error)
+        }
+    }
+
+    /**
+     * Updates the progress once an asset is loaded or has failed and starts downloading the next asset.
+     * @param {Number} index index of asset in entries array
+     * @param {Function} onProgress callback that is called while the assets are loading
+     * @param {Function} onComplete callback that is called after all assets are loaded
+     * @param {Function} onError callback that is called whenever an asset fails to load after all retries
+     */
+    onAssetSettled(index, onProgress, onComplete, onError)
+    {
+        this.states[index].done = true
+        onProgress(this.getProgress())
+        this.loadedCount++
+        if (this.loadedCount == this.entries.length)
+            this.complete(onComplete)
+        else if (this.nextIndex < this.entries.length)
+            this.loadNext(onProgress, onComplete, onError)
+    }
+
+    /**
+     * Returns the overall progress of all assets that are being loaded, weighted by their size in bytes.
+     * Assets of unknown size are weighted by the average size of the known ones, or equally if no size is known.
+     * The progress never decreases even if the weights change once more sizes are known.
+     * @returns {Number} progress value between 0 and 100
+     */
+    getProgress()
+    {
+        let knownSize = 0
+        let knownCount = 0
+        for (let state of this.states)
+        {
+            if (state.total > 0)
+            {
+                knownSize += state.total
+                knownCount++
+            }
+        }
+        let fallbackSize = (knownCount > 0) ? knownSize/knownCount : 1
+        let totalWeight = 0
+        let loadedWeight = 0
+        for (let state of this.states)
+        {
+            let weight = (state.total > 0) ? state.total : fallbackSize
+            totalWeight += weight
+            if (state.done)
+                loadedWeight += weight
+            else if (state.total > 0)
+                loadedWeight += Math.min(state.loaded, state.total)
+        }
+        this.lastProgress = Math.max(this.lastProgress, Math.round((loadedWeight/totalWeight) * 100))
+        return this.lastProgress
+    }
+
+    /**
+     * Hands the loaded assets over to the caller and starts a new asset map so that the loader can be reused.
+     * @param {Function} onComplete callback that is called after all assets are loaded
+     */
+    complete(onComplete)
+    {
+        this.running = false
+        this.controllers.clear()
+        let assetMap = this.assetMap
+        this.assetMap = new Map()
+        onComplete(assetMap, this.failedNames)
+    }
+}
+
+/**
+ * Maps file extensions and MIME types to the loaders through which those files are loaded.
+ * Gltf, image and json files are registered by default, with draco compression wired into the gltf loader.
+ */
+export class LoaderRegistry
+{
+    constructor()
+    {
+        this.extensionMap = new Map()
+        this.mimeTypeMap = new Map()
+        this.dracoLoader = new DRACOLoader()
+        this.dracoLoader.setDecoderPath(new URL('../node_modules/three/examples/jsm/libs/draco/', import.meta.url).href)
+        let gltfLoader = new GLTFLoader()
+        gltfLoader.setDRACOLoader(this.dracoLoader)
+        let jsonLoader = new THREE.FileLoader()
+        jsonLoader.setResponseType('json')
+        this.register(gltfLoader, ['gltf', 'glb'], ['model/gltf+json', 'model/gltf-binary'])
+        this.register(new THREE.TextureLoader(), ['png', 'jpg', 'jpeg', 'webp', 'gif', 'bmp'], ['image/png', 'image/jpeg', 'image/webp', 'image/gif', 'image/bmp'])
+        this.register(jsonLoader, ['json'], ['application/json'])
+    }
+
+    /**
+     * Registers a loader for the given file extensions and MIME types. Existing entries are replaced.
+     * @param {THREE.Loader} loader loader through which the files are to be loaded
+     * @param {Array} extensions file extensions without the leading dot
+     * @param {Array} mimeTypes optional MIME types
+     */
+    register(loader, extensions, mimeTypes)
+    {
+        if (extensions != undefined && extensions != null)
+        {
+            for (let extension of extensions)
+                this.extensionMap.set(this.toExtension(extension), loader)
+        }
+        if (mimeTypes != undefined && mimeTypes != null)
+        {
+            for (let mimeType of mimeTypes)
+                this.mimeTypeMap.set(mimeType.toLowerCase(), loader)
+        }
+    }
+
+    /**
+     * Sets the path of the draco decoder used by the default gltf loader
+     * @param {String} path path of the folder containing the draco decoder files
+     */
+    setDracoDecoderPath(path) { this.dracoLoader.setDecoderPath(path) }
+
+    /**
+     * Returns the loader registered for the given type, or for the MIME type of a data url, or for the extension of the url.
+     * @param {String} url asset url
+     * @param {String} type optional MIME type or extension
+     * @returns {THREE.Loader} the registered loader or undefined if there is none
+     */
+    getLoader(url, type)
+    {
+        if (type != undefined && type != null)
+        {
+            let loader = this.mimeTypeMap.get(type.toLowerCase())
+            return (loader != undefined) ? loader : this.extensionMap.get(this.toExtension(type))
+        }
+        let dataUrlMatch = /^data:([^;,]+)/i.exec(url)
+        if (dataUrlMatch)
+            return this.mimeTypeMap.get(dataUrlMatch[1].toLowerCase())
+        let path = url.replace(/[?#].*$/, '')
+        let fileName = path.substring(path.lastIndexOf('/') + 1)
+        let dotIndex = fileName.lastIndexOf('.')
+        return (dotIndex >= 0) ? this.extensionMap.get(this.toExtension(fileName.substring(dotIndex + 1))) : undefined
+    }
+
+    /**
+     * Converts the extension into the form used as key in the extension map
+     * @param {String} extension file extension with or without the leading dot
+     * @returns {String} lower case extension without the leading dot
+     */
+    toExtension(extension) { return extension.replace(/^\./, '').toLowerCase() }
+}
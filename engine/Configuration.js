@@ -0,0 +1,311 @@
+import * as THREE from 'three'
+import { SceneBuilder } from './SceneBuilder.js'
+import { Misc } from './helpers/misc.js'
+
+const VERSION = 1
+const HASH_DELAY_IN_MS = 500
+
+/**
+ * Saves and restores the styling of a scene built by SceneBuilder: the variant of every model, and for every material slot the
+ * texture, finish, color and tiling, and the decals placed on the model, along with the camera pose and the post processing settings. Assets are referred by
+ * their names in the manifest, so a configuration can be restored on any page that loads the same manifest.
+ * The configuration serializes to a JSON document and to a URL-safe string to be used as the hash of a shareable url.
+ */
+export class Configuration
+{
+    /**
+     * @param {any} scene the object returned by SceneBuilder.build
+     */
+    constructor(scene)
+    {
+        this.scene = scene
+        this.postProcessing = Object.assign({}, scene.manifest.postProcessing)
+        this.baseColorMap = new Map()
+        for (let [name, model] of scene.models)
+        {
+            let slots = model.getMaterialSlots()
+            for (let i=0; i<slots.length; i++)
+            {
+                if (slots[i].material.color != undefined)
+                    this.baseColorMap.set(name + '/' + getSlotKey(slots, i), slots[i].material.color.getHexString())
+            }
+        }
+    }
+
+    /**
+     * Applies the post processing settings and keeps them in the configuration. The settings are the ones of the
+     * postProcessing entry of the manifest.
+     * @param {any} settings post processing settings, e.g. { saturation: 1.2, bloom: { intensity: 0.5 } }
+     */
+    setPostProcessing(settings)
+    {
+        Object.assign(this.postProcessing, settings)
+        SceneBuilder.applyPostProcessing(this.scene.sceneManager, settings)
+    }
+
+    /**
+     * Serializes the current styling of the scene. Colors are only saved for the slots whose color has changed since the
+     * configuration was created, and textures only if they are declared in the manifest.
+     * @returns {any} the configuration as JSON object
+     */
+    toJson()
+    {
+        let json = { v: VERSION, models: {} }
+        for (let [name, model] of this.scene.models)
+        {
+            let modelJson = { slots: {} }
+            if (model.getSelectedVariant() != null)
+                modelJson.variant = model.getSelectedVariant()
+            let slots = model.getMaterialSlots()
+            for (let i=0; i<slots.length; i++)
+            {
+                let slotJson = this.toSlotJson(model, slots[i].material, name + '/' + getSlotKey(slots, i))
+                if (Object.keys(slotJson).length > 0)
+                    modelJson.slots[getSlotKey(slots, i)] = slotJson
+            }
+            let decals = model.getDecals().map(decal => this.toDecalJson(model, decal)).filter(decalJson => decalJson != null)
+            if (decals.length > 0)
+                modelJson.decals = decals
+            if (modelJson.variant != undefined || Object.keys(modelJson.slots).length > 0 || modelJson.decals != undefined)
+                json.models[name] = modelJson
+        }
+        let camera = this.scene.cameraManager.getCamera()
+        json.camera = { position: toArray(camera.position), rotation: toArray(camera.rotation) }
+        if (Object.keys(this.postProcessing).length > 0)
+            json.postProcessing = this.postProcessing
+        return json
+    }
+
+    /**
+     * Restores the styling of the scene. Models, slots and assets that are not found in the scene are skipped.
+     * @param {any} json the configuration as JSON object, as returned by toJson
+     */
+    fromJson(json)
+    {
+        if (json == undefined || json == null || json.v != VERSION)
+            throw new Error('Unsupported configuration')
+        for (let name of Object.keys((json.models != undefined) ? json.models : {}))
+        {
+            let model = this.scene.models.get(name)
+            if (model == undefined)
+                continue
+            let modelJson = json.models[name]
+            model.selectVariant((modelJson.variant != undefined) ? modelJson.variant : null)
+            let slots = model.getMaterialSlots()
+            for (let i=0; i<slots.length; i++)
+            {
+                let slotJson = (modelJson.slots != undefined) ? modelJson.slots[getSlotKey(slots, i)] : undefined
+                if (slotJson != undefined)
+                    this.applySlotJson(model, slots[i].material, slotJson)
+            }
+            for (let decal of model.getDecals())
+                model.removeDecal(decal)
+            for (let decalJson of (modelJson.decals != undefined) ? modelJson.decals : [])
+                this.applyDecalJson(model, decalJson)
+        }
+        if (json.camera != undefined)
+        {
+            let cameraManager = this.scene.cameraManager
+            cameraManager.setPosition(json.camera.position[0], json.camera.position[1], json.camera.position[2])
+            cameraManager.setRotation(json.camera.rotation[0], json.camera.rotation[1], json.camera.rotation[2])
+        }
+        if (json.postProcessing != undefined)
+            this.setPostProcessing(json.postProcessing)
+    }
+
+    /**
+     * Serializes the current styling of the scene into a string that can be used as the hash of a url
+     * @returns {String} base64url encoded JSON configuration
+     */
+    toHash()
+    {
+        let bytes = new TextEncoder().encode(JSON.stringify(this.toJson()))
+        let binary = ''
+        for (let byte of bytes)
+            binary += String.fromCharCode(byte)
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+    }
+
+    /**
+     * Restores the styling of the scene from a string returned by toHash
+     * @param {String} hash base64url encoded JSON configuration, with or without the leading #
+     */
+    fromHash(hash)
+    {
+        let base64 = hash.replace(/^#/, '').replace(/-/g, '+').replace(/_/g, '/')
+        let json
+        try
+        {
+            let binary = atob(base64)
+            let bytes = Uint8Array.from(binary, character => character.charCodeAt(0))
+            json = JSON.parse(new TextDecoder().decode(bytes))
+        }
+        catch (error)
+        {
+            throw new Error('Invalid configuration hash', { cause: error })
+        }
+        this.fromJson(json)
+    }
+
+    /**
+     * Keeps the hash of the page url in sync with the styling of the scene. The hash is updated whenever the history changes,
+     * and shortly after the user stops moving the camera with the pointer, the mouse wheel or the keyboard.
+     * @param {History} history the history the styling changes are recorded in
+     * @param {HTMLCanvasElement} canvas HTML canvas element the scene is rendered on
+     */
+    syncUrlHash(history, canvas)
+    {
+        let updateHash = ()=>window.history.replaceState(null, '', '#' + this.toHash())
+        let hashTimer = null
+        let updateHashLater = ()=>
+        {
+            clearTimeout(hashTimer)
+            hashTimer = setTimeout(updateHash, HASH_DELAY_IN_MS)
+        }
+        history.registerChangeEvent(updateHash)
+        window.addEventListener('pointerup', updateHashLater)
+        canvas.addEventListener('wheel', updateHashLater, { passive: true })
+        window.addEventListener('keyup', updateHashLater)
+    }
+
+    /**
+     * Serializes the texture, finish, color and tiling of the material slot
+     * @param {MeshModel} model the model
+     * @param {THREE.Material} material threejs material of the slot
+     * @param {String} slotPath name of the model and key of the slot joined by a slash
+     * @returns {any} the slot as JSON object, empty if nothing is to be saved
+     */
+    toSlotJson(model, material, slotPath)
+    {
+        let slotJson = {}
+        let finish = model.getFinish(material)
+        if (finish != null)
+            slotJson.finish = finish.name
+        let textureName = this.findTextureName(material.map)
+        if (textureName != null)
+            slotJson.texture = textureName
+        if (material.color != undefined)
+        {
+            let color = material.color.getHexString()
+            if (this.baseColorMap.has(slotPath) && this.baseColorMap.get(slotPath) != color)
+                slotJson.color = '#' + color
+        }
+        let tiling = model.getTextureTiling(material)
+        if (tiling != null)
+            slotJson.tiling = { repeat: toArray(tiling.repeat), offset: toArray(tiling.offset), rotation: round(tiling.rotation) }
+        return slotJson
+    }
+
+    /**
+     * Applies the texture, finish, color and tiling of the material slot
+     * @param {MeshModel} model the model
+     * @param {THREE.Material} material threejs material of the slot
+     * @param {any} slotJson the slot as JSON object
+     */
+    applySlotJson(model, material, slotJson)
+    {
+        if (slotJson.finish != undefined && this.scene.finishes.has(slotJson.finish))
+        {
+            let finishedMaterials = model.applyFinish(this.scene.finishes.get(slotJson.finish), material)
+            if (finishedMaterials.length > 0)
+                material = finishedMaterials[0]
+        }
+        if (slotJson.texture != undefined && this.scene.textures.has(slotJson.texture))
+            model.applyTexture(this.scene.textures.get(slotJson.texture), material)
+        if (slotJson.color != undefined)
+            model.applyColor(Misc.hexToColor(slotJson.color), material)
+        if (slotJson.tiling != undefined)
+        {
+            let tiling = slotJson.tiling
+            model.setTextureTiling({ repeat: { x: tiling.repeat[0], y: tiling.repeat[1] }, offset: { x: tiling.offset[0], y: tiling.offset[1] },
+                rotation: tiling.rotation }, material)
+        }
+    }
+
+    /**
+     * Serializes the decal. The mesh it is placed on is referred by the indices of the children leading to it from the model.
+     * @param {MeshModel} model the model
+     * @param {Decal} decal the decal
+     * @returns {any} the decal as JSON object, or null if its texture is not declared in the manifest
+     */
+    toDecalJson(model, decal)
+    {
+        let textureName = this.findTextureName(decal.texture)
+        if (textureName == null)
+            return null
+        let path = []
+        for (let node = decal.targetMesh; node != model.scene; node = node.parent)
+            path.unshift(node.parent.children.indexOf(node))
+        return { texture: textureName, mesh: path.join('/'), point: toArray(decal.localPoint), normal: toArray(decal.localNormal),
+            size: round(decal.size), rotation: round(decal.rotation) }
+    }
+
+    /**
+     * Places the decal on the model. Decals whose texture or mesh is not found are skipped.
+     * @param {MeshModel} model the model
+     * @param {any} decalJson the decal as JSON object
+     */
+    applyDecalJson(model, decalJson)
+    {
+        let texture = this.scene.textures.get(decalJson.texture)
+        let mesh = model.scene
+        for (let index of (decalJson.mesh != '') ? decalJson.mesh.split('/') : [])
+            mesh = (mesh != undefined) ? mesh.children[parseInt(index)] : undefined
+        if (texture == undefined || texture == null || mesh == undefined || mesh.geometry == undefined)
+            return
+        mesh.updateMatrixWorld(true)
+        let point = mesh.localToWorld(new THREE.Vector3().fromArray(decalJson.point))
+        let hitData = { object: mesh, point: point, face: { normal: new THREE.Vector3().fromArray(decalJson.normal) } }
+        model.addDecal(texture, hitData, decalJson.size, decalJson.rotation)
+    }
+
+    /**
+     * Finds the name in the manifest of the texture, which may also be a copy made for tiling
+     * @param {THREE.Texture} texture threejs texture
+     * @returns {String} name of the texture, or null if it is not declared in the manifest
+     */
+    findTextureName(texture)
+    {
+        if (texture == undefined || texture == null)
+            return null
+        for (let [name, manifestTexture] of this.scene.textures)
+        {
+            if (manifestTexture != null && (manifestTexture == texture || manifestTexture.source == texture.source))
+                return name
+        }
+        return null
+    }
+}
+
+/**
+ * Returns the key of the material slot, which is the name of its material if that is unique, or else its index
+ * @param {Array} slots material slots of the model
+ * @param {Number} index index of the slot
+ * @returns {String} key of the slot
+ */
+function getSlotKey(slots, index)
+{
+    let name = slots[index].name
+    let isUnique = name != '' && slots.filter(slot => slot.name == name).length == 1
+    return (isUnique) ? name : '#' + index
+}
+
+/**
+ * Converts the vector or euler into a compact array of rounded components
+ * @param {THREE.Vector2 | THREE.Vector3 | THREE.Euler} vector threejs vector or euler
+ * @returns {Array} array of components
+ */
+function toArray(vector)
+{
+    let components = [vector.x, vector.y]
+    if (vector.z != undefined)
+        components.push(vector.z)
+    return components.map(round)
+}
+
+/**
+ * Rounds the number to 4 decimals to keep the configuration compact
+ * @param {Number} value the number
+ * @returns {Number} the rounded number
+ */
+function round(value) { return Math.round(value * 10000) / 10000 }
@@ -0,0 +1,131 @@
+import * as THREE from 'three'
+import { DecalGeometry } from '../node_modules/three/examples/jsm/geometries/DecalGeometry.js'
+
+/**
+ * Represents an image such as a monogram or a logo projected onto the surface of a mesh. The decal is anchored to a point
+ * and normal in the local space of the mesh and is added as a child of the mesh, so it follows the mesh when the model moves.
+ */
+export class Decal
+{
+    /**
+     * @param {THREE.Texture} texture image of the decal
+     * @param {any} hitData hit data returned by SceneManager.shootRayFromCamera, holding the hit object, point and face
+     * @param {Number} size width of the decal in world space units. The height follows the aspect ratio of the image.
+     * @param {Number} rotation rotation of the decal around the surface normal in radians
+     * @param {Function} onUpdate optional callback that is called whenever the decal is projected again, e.g. to have the frame rendered
+     */
+    constructor(texture, hitData, size, rotation, onUpdate)
+    {
+        this.onUpdate = (onUpdate != undefined && onUpdate != null) ? onUpdate : ()=>{}
+        this.texture = texture
+        this.size = size
+        this.rotation = (rotation != undefined && rotation != null) ? rotation : 0
+        this.material = new THREE.MeshStandardMaterial({ map: texture, transparent: true, depthWrite: false, polygonOffset: true, polygonOffsetFactor: -4 })
+        this.mesh = new THREE.Mesh(new THREE.BufferGeometry(), this.material)
+        this.mesh.userData.isDecal = true
+        this.targetMesh = null
+        this.localPoint = new THREE.Vector3()
+        this.localNormal = new THREE.Vector3(0, 0, 1)
+        this.moveTo(hitData)
+    }
+
+    /**
+     * Moves the decal to the hit point on the surface. A hit on another decal moves the decal onto the mesh below it.
+     * @param {any} hitData hit data returned by SceneManager.shootRayFromCamera, holding the hit object, point and face
+     */
+    moveTo(hitData)
+    {
+        this.targetMesh = (hitData.object.userData.isDecal) ? hitData.object.parent : hitData.object
+        this.localPoint = this.targetMesh.worldToLocal(hitData.point.clone())
+        this.localNormal = hitData.face.normal.clone()
+        this.update()
+    }
+
+    /**
+     * Returns hit data of the point where the decal is anchored, which can be used to place the same decal again
+     * @returns {any} hit data holding the target mesh, the point in world space and the face normal in the local space of the mesh
+     */
+    getHitData()
+    {
+        this.targetMesh.updateMatrixWorld(true)
+        return { object: this.targetMesh, point: this.targetMesh.localToWorld(this.localPoint.clone()), face: { normal: this.localNormal.clone() } }
+    }
+
+    /**
+     * Sets the width of the decal
+     * @param {Number} size width of the decal in world space units
+     */
+    setSize(size)
+    {
+        this.size = size
+        this.update()
+    }
+
+    /**
+     * Sets the rotation of the decal around the surface normal
+     * @param {Number} rotation rotation in radians
+     */
+    setRotation(rotation)
+    {
+        this.rotation = rotation
+        this.update()
+    }
+
+    /**
+     * Captures the anchor, size and rotation of the decal for the History
+     * @returns {any} state of the decal
+     */
+    captureState()
+    {
+        return { targetMesh: this.targetMesh, localPoint: this.localPoint.clone(), localNormal: this.localNormal.clone(), size: this.size, rotation: this.rotation }
+    }
+
+    /**
+     * Restores the state of the decal captured by captureState
+     * @param {any} state state of the decal
+     */
+    restoreState(state)
+    {
+        this.targetMesh = state.targetMesh
+        this.localPoint.copy(state.localPoint)
+        this.localNormal.copy(state.localNormal)
+        this.size = state.size
+        this.rotation = state.rotation
+        this.update()
+    }
+
+    /**
+     * Projects the image onto the surface of the target mesh again and attaches the decal to the mesh
+     */
+    update()
+    {
+        this.targetMesh.updateMatrixWorld(true)
+        let point = this.targetMesh.localToWorld(this.localPoint.clone())
+        let normal = this.localNormal.clone().transformDirection(this.targetMesh.matrixWorld)
+        let projector = new THREE.Object3D()
+        projector.position.copy(point)
+        projector.lookAt(point.clone().add(normal))
+        projector.rotateZ(this.rotation)
+        let image = this.texture.image
+        let aspectRatio = (image != undefined && image != null && image.width > 0) ? image.height/image.width : 1
+        let geometry = new DecalGeometry(this.targetMesh, point, projector.rotation, new THREE.Vector3(this.size, this.size * aspectRatio, this.size))
+        geometry.applyMatrix4(this.targetMesh.matrixWorld.clone().invert())
+        this.mesh.geometry.dispose()
+        this.mesh.geometry = geometry
+        if (this.mesh.parent != this.targetMesh)
+            this.targetMesh.add(this.mesh)
+        this.mesh.updateMatrixWorld(true)
+        this.onUpdate()
+    }
+
+    /**
+     * Detaches the decal from the mesh and disposes its geometry and material. The texture is left to its owner.
+     * The decal can still be attached again through update, which projects a new geometry.
+     */
+    remove()
+    {
+        this.mesh.removeFromParent()
+        this.mesh.geometry.dispose()
+        this.material.dispose()
+    }
+}
@@ -1,16 +1,28 @@
 export { Misc } from './helpers/misc.js'
 export { Matrix } from './helpers/matrix.js'
 export { Maths } from './helpers/maths.js'
-export { AssetLoader } from './AssetLoader.js'
+export { AssetLoader, FailurePolicy, LoaderRegistry } from './AssetLoader.js'
+export { AssetCache } from './AssetCache.js'
 export { CameraManager } from './CameraManager.js'
 export { PerspectiveCamera } from './CameraManager.js'
 export { Hotspot } from './HotSpot.js'
 export { InputManager } from './InputManager.js'
 export { AmbientLight, DirectLight, PointLight, SpotLight } from './Light.js'
-export { StaticModel, MeshModel, InstancedModel } from './Models.js'
+export { StaticModel, MeshModel, InstancedModel, AnimationLoop } from './Models.js'
+export { Finish } from './Finish.js'
+export { Decal } from './Decal.js'
+export { History } from './History.js'
+export { Configuration } from './Configuration.js'
 export { OrbitControl } from './OrbitControl.js'
 export { SceneObject, SceneObjectGroup, SceneManager } from './core/SceneManager.js'
+export { FrameClock } from './core/FrameClock.js'
+export { SceneExporter } from './core/SceneExporter.js'
+export { PostProcessingPipeline, PostProcessingPass } from './core/PostProcessingPipeline.js'
+export { AssetRegistry } from './core/AssetRegistry.js'
+export { MaterialTransitions } from './core/MaterialTransitions.js'
+export { Glow } from './core/Glow.js'
 export { DebugUI } from './DebugUI.js'
 export { OrbitalCameraManager } from './camera/OrbitalCameraManager.js'
 export { FirstPersonCameraManager } from './camera/FirstPersonCameraManager.js'
-export { StaticCameraManager } from './camera/StaticCameraManager.js'
\ No newline at end of file
+export { StaticCameraManager } from './camera/StaticCameraManager.js'
+export { SceneBuilder } from './SceneBuilder.js'
\ No newline at end of file
@@ -0,0 +1,140 @@
+import * as THREE from 'three'
+import { Misc } from './helpers/misc.js'
+
+const TEXTURE_KEYS = ['map', 'normalMap', 'roughnessMap', 'metalnessMap', 'aoMap', 'sheenColorMap', 'sheenRoughnessMap']
+const VALUE_KEYS = ['color', 'normalScale', 'roughness', 'metalness', 'aoMapIntensity', 'sheen', 'sheenColor', 'sheenRoughness']
+const PHYSICAL_KEYS = ['sheen', 'sheenColor', 'sheenRoughness', 'sheenColorMap', 'sheenRoughnessMap']
+
+/**
+ * Represents a PBR finish such as a fabric or a leather, i.e. a set of maps and values that are applied together on a material.
+ * The keys of a finish are the names of the material properties: map, normalMap, roughnessMap, metalnessMap, aoMap,
+ * sheenColorMap, sheenRoughnessMap, color, normalScale, roughness, metalness, aoMapIntensity, sheen, sheenColor and sheenRoughness.
+ * The sheen properties need a MeshPhysicalMaterial. The optional repeat is set as the tiling of the material slots the finish is
+ * applied on by MeshModel, so the textures of the finish, which may be shared with other models, are never changed.
+ */
+export class Finish
+{
+    /**
+     * @param {String} name name of the finish
+     * @param {any} values material property values keyed by the property names
+     * @param {THREE.Vector2} repeat optional number of times the maps repeat across the surface
+     */
+    constructor(name, values, repeat)
+    {
+        this.name = name
+        this.values = {}
+        this.repeat = (repeat != undefined && repeat != null) ? repeat : null
+        for (let key of TEXTURE_KEYS.concat(VALUE_KEYS))
+        {
+            if (values[key] != undefined)
+                this.values[key] = values[key]
+        }
+    }
+
+    /**
+     * Creates the finish out of its JSON definition. Maps are referred by their names in the texture map and colors are hex strings, e.g.
+     * { "name": "Velvet", "map": "VelvetDiffuse", "normalMap": "VelvetNormal", "color": "#c0a080", "roughness": 0.8, "sheen": 1, "repeat": { "x": 4, "y": 4 } }
+     * @param {any} finishJson JSON definition of the finish
+     * @param {Map} textures map of textures by their names
+     * @returns {Finish} the finish
+     */
+    static fromJson(finishJson, textures)
+    {
+        let values = {}
+        for (let key of TEXTURE_KEYS)
+        {
+            if (finishJson[key] != undefined)
+            {
+                let texture = textures.get(finishJson[key])
+                if (texture == undefined || texture == null)
+                    throw new Error('Texture '+finishJson[key]+' of finish '+finishJson.name+' is not loaded')
+                values[key] = texture
+            }
+        }
+        if (finishJson.color != undefined)
+            values.color = Misc.hexToColor(finishJson.color)
+        if (finishJson.sheenColor != undefined)
+            values.sheenColor = Misc.hexToColor(finishJson.sheenColor)
+        if (finishJson.normalScale != undefined)
+            values.normalScale = new THREE.Vector2(finishJson.normalScale, finishJson.normalScale)
+        for (let key of ['roughness', 'metalness', 'aoMapIntensity', 'sheen', 'sheenRoughness'])
+        {
+            if (finishJson[key] != undefined)
+                values[key] = finishJson[key]
+        }
+        let repeat = (finishJson.repeat != undefined) ? new THREE.Vector2(finishJson.repeat.x, finishJson.repeat.y) : null
+        return new Finish(finishJson.name, values, repeat)
+    }
+
+    /**
+     * Returns the maps of the finish
+     * @returns {Array} array of threejs textures
+     */
+    getTextures()
+    {
+        let textures = []
+        for (let key of TEXTURE_KEYS)
+        {
+            if (this.values[key] != undefined && this.values[key] != null)
+                textures.push(this.values[key])
+        }
+        return textures
+    }
+
+    /**
+     * Checks if the finish has properties that only a MeshPhysicalMaterial supports
+     * @returns {Boolean} true if the finish needs a MeshPhysicalMaterial
+     */
+    isPhysical()
+    {
+        for (let key of PHYSICAL_KEYS)
+        {
+            if (this.values[key] != undefined)
+                return true
+        }
+        return false
+    }
+
+    /**
+     * Captures the current values of all the properties a finish can change, so that they can be restored later
+     * @param {THREE.Material} material threejs material
+     * @returns {any} values of the material keyed by the property names
+     */
+    static capture(material)
+    {
+        let values = {}
+        for (let key of TEXTURE_KEYS.concat(VALUE_KEYS))
+        {
+            if (key in material)
+                values[key] = copyValue(material[key])
+        }
+        return values
+    }
+
+    /**
+     * Applies the finish on the material. The properties not set by the finish are reset to the given base values so that
+     * nothing of a previously applied finish remains on the material. The repeat is not applied here.
+     * @param {THREE.Material} material threejs material
+     * @param {any} baseValues values captured from the material before any finish was applied on it
+     */
+    applyTo(material, baseValues)
+    {
+        for (let key of TEXTURE_KEYS.concat(VALUE_KEYS))
+        {
+            if (!(key in material))
+                continue
+            if (key in this.values)
+                material[key] = copyValue(this.values[key])
+            else if (key in baseValues)
+                material[key] = copyValue(baseValues[key])
+        }
+        material.needsUpdate = true
+    }
+}
+
+/**
+ * Copies colors and vectors so that materials never share them. Textures and numbers are returned as they are.
+ * @param {any} value value of a material property
+ * @returns {any} the copied value
+ */
+function copyValue(value) { return (value != null && value.isTexture == undefined && value.clone != undefined) ? value.clone() : value }
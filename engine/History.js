@@ -0,0 +1,242 @@
+import { Misc } from './helpers/misc.js'
+import { MaterialTransitions } from './core/MaterialTransitions.js'
+
+const SKIPPED_MATERIAL_KEYS = ['uuid', 'id', 'type', 'name', 'userData', 'version', 'defines', 'uniforms', '_listeners']
+
+/**
+ * Records the changes made on models and meshes so that they can be undone and redone. A change is recorded by running it
+ * through execute, which captures the materials, textures and transform of the target before and after the change.
+ */
+export class History
+{
+    /**
+     * @param {Number} limit maximum number of changes that can be undone
+     */
+    constructor(limit)
+    {
+        this.limit = (limit != undefined && limit != null) ? limit : 100
+        this.undoStack = []
+        this.redoStack = []
+        this.changeCallbacks = []
+    }
+
+    /**
+     * Sets the maximum number of changes that can be undone. The oldest changes are dropped if there are more.
+     * @param {Number} limit maximum number of changes that can be undone
+     */
+    setLimit(limit)
+    {
+        this.limit = limit
+        this.trim()
+        this.notify()
+    }
+
+    /**
+     * Runs the change on the target and records it.
+     * @param {MeshModel | StaticModel | Decal | THREE.Object3D} target the model, decal or threejs object that is changed, e.g. a mesh picked by ray casting
+     * @param {Function} change callback that changes the target, e.g. () => model.applyTexture(texture)
+     * @param {String} name optional name of the change
+     */
+    execute(target, change, name)
+    {
+        let before = History.capture(target)
+        change()
+        let after = History.capture(target)
+        this.push({ name: name, undo: () => History.restore(target, before), redo: () => History.restore(target, after) })
+    }
+
+    /**
+     * Records a change that has already been made. Any change that was undone can no longer be redone.
+     * @param {any} command object having the optional name of the change, and undo and redo functions
+     */
+    push(command)
+    {
+        this.undoStack.push(command)
+        this.redoStack = []
+        this.trim()
+        this.notify()
+    }
+
+    /**
+     * Reverts the last change
+     * @returns {Boolean} true if there was a change to be undone
+     */
+    undo()
+    {
+        let command = this.undoStack.pop()
+        if (command == undefined)
+            return false
+        command.undo()
+        this.redoStack.push(command)
+        this.notify()
+        return true
+    }
+
+    /**
+     * Makes the last undone change again
+     * @returns {Boolean} true if there was a change to be redone
+     */
+    redo()
+    {
+        let command = this.redoStack.pop()
+        if (command == undefined)
+            return false
+        command.redo()
+        this.undoStack.push(command)
+        this.notify()
+        return true
+    }
+
+    /**
+     * @returns {Boolean} true if there is a change to be undone
+     */
+    canUndo() { return this.undoStack.length > 0 }
+
+    /**
+     * @returns {Boolean} true if there is a change to be redone
+     */
+    canRedo() { return this.redoStack.length > 0 }
+
+    /**
+     * Forgets all the recorded changes
+     */
+    clear()
+    {
+        this.undoStack = []
+        this.redoStack = []
+        this.notify()
+    }
+
+    /**
+     * Registers callbacks that are called whenever a change is recorded, undone or redone
+     * @param {Function} callback callback that receives the history
+     */
+    registerChangeEvent(callback) { this.changeCallbacks.push(callback) }
+
+    /**
+     * Binds Ctrl+Z to undo, and Ctrl+Shift+Z and Ctrl+Y to redo. The command key works in place of the control key.
+     * @param {InputManager} inputManager the input manager
+     */
+    registerShortcuts(inputManager)
+    {
+        inputManager.registerShortcut('Ctrl+Z', () => this.undo())
+        inputManager.registerShortcut('Ctrl+Shift+Z', () => this.redo())
+        inputManager.registerShortcut('Ctrl+Y', () => this.redo())
+    }
+
+    /**
+     * Drops the oldest changes beyond the limit
+     */
+    trim()
+    {
+        if (this.undoStack.length > this.limit)
+            this.undoStack.splice(0, this.undoStack.length - this.limit)
+    }
+
+    /**
+     * Calls all the change callbacks
+     */
+    notify()
+    {
+        for (let callback of this.changeCallbacks)
+            callback(this)
+    }
+
+    /**
+     * Captures the state of the target. Models and decals provide their own captureState, any other threejs object is captured by captureObject.
+     * @param {MeshModel | StaticModel | Decal | THREE.Object3D} target the model, decal or threejs object
+     * @returns {any} state of the target
+     */
+    static capture(target) { return (target.captureState != undefined) ? target.captureState() : History.captureObject(target) }
+
+    /**
+     * Restores the state of the target
+     * @param {MeshModel | StaticModel | Decal | THREE.Object3D} target the model, decal or threejs object
+     * @param {any} state state of the target returned by capture
+     */
+    static restore(target, state)
+    {
+        if (target.restoreState != undefined)
+            target.restoreState(state)
+        else
+            History.restoreObject(state)
+    }
+
+    /**
+     * Captures the transform of the threejs object, and the materials of all the meshes in it along with the values of these
+     * materials and the transform of their textures.
+     * @param {THREE.Object3D} threeJsObject the threejs object
+     * @returns {any} state of the threejs object
+     */
+    static captureObject(threeJsObject)
+    {
+        let state = { object: threeJsObject, position: threeJsObject.position.clone(), quaternion: threeJsObject.quaternion.clone(),
+            scale: threeJsObject.scale.clone(), meshes: [], materials: new Map(), textures: new Map() }
+        Misc.postOrderTraversal(threeJsObject, mesh => {
+            if (mesh.material == undefined || mesh.material == null)
+                return
+            let materials = (Array.isArray(mesh.material)) ? mesh.material : [mesh.material]
+            state.meshes.push({ mesh: mesh, material: (Array.isArray(mesh.material)) ? mesh.material.slice() : mesh.material })
+            for (let material of materials)
+            {
+                if (state.materials.has(material))
+                    continue
+                let values = {}
+                for (let key of Object.keys(material))
+                {
+                    let value = material[key]
+                    if (SKIPPED_MATERIAL_KEYS.includes(key) || typeof value == 'function')
+                        continue
+                    values[key] = (MaterialTransitions.isPlaceholder(value)) ? null : copyValue(value)
+                    if (value != null && value.isTexture != undefined && !state.textures.has(value))
+                    {
+                        state.textures.set(value, { repeat: value.repeat.clone(), offset: value.offset.clone(), center: value.center.clone(),
+                            rotation: value.rotation, wrapS: value.wrapS, wrapT: value.wrapT })
+                    }
+                }
+                state.materials.set(material, values)
+            }
+        })
+        return state
+    }
+
+    /**
+     * Restores the state of the threejs object
+     * @param {any} state state of the threejs object returned by captureObject
+     */
+    static restoreObject(state)
+    {
+        state.object.position.copy(state.position)
+        state.object.quaternion.copy(state.quaternion)
+        state.object.scale.copy(state.scale)
+        for (let entry of state.meshes)
+            entry.mesh.material = (Array.isArray(entry.material)) ? entry.material.slice() : entry.material
+        for (let [material, values] of state.materials)
+        {
+            MaterialTransitions.finish(material)
+            for (let key of Object.keys(values))
+                material[key] = copyValue(values[key])
+            material.needsUpdate = true
+        }
+        for (let [texture, transform] of state.textures)
+        {
+            texture.repeat.copy(transform.repeat)
+            texture.offset.copy(transform.offset)
+            texture.center.copy(transform.center)
+            texture.rotation = transform.rotation
+            if (texture.wrapS != transform.wrapS || texture.wrapT != transform.wrapT)
+            {
+                texture.wrapS = transform.wrapS
+                texture.wrapT = transform.wrapT
+                texture.needsUpdate = true
+            }
+        }
+    }
+}
+
+/**
+ * Copies colors and vectors so that the captured state is not changed along with the material. Other values are returned as they are.
+ * @param {any} value value of a material property
+ * @returns {any} the copied value
+ */
+function copyValue(value) { return (value != null && value.isTexture == undefined && value.clone != undefined) ? value.clone() : value }
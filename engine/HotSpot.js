@@ -16,6 +16,7 @@ export class Hotspot extends SceneObject
         this.div.className = 'hotspot'
         this.isVisible = false
         this.lastRasterCoord = { x: -1, y: -1 }
+        this.canvasPosition = { x: 0, y: 0 }
         this.worldPosition = worldPosition
         this.input = new HotspotInput(this.div)
         this.enableOcclusion = true
@@ -58,17 +59,16 @@ export class Hotspot extends SceneObject
     getWorldPosition() { return this.worldPosition }
 
     /**
-     * Sets the raster coordinate of hotspot. This function is called by the actor that the hotspot belongs to
+     * Sets the raster coordinate of hotspot. This function is called by the actor that the hotspot belongs to.
+     * The hotspot is placed in the page at the raster coordinate offset by the position of the canvas.
      * @param {Number} x x-coordinate of hotspot in raster space 
      * @param {Number} y y-coordinate of hotspot in raster space 
      */
     setRasterCoordinates(x, y)
     {
-        let aspect = window.innerWidth/window.innerHeight
-        if (aspect < 1)
-            this.div.style = 'position: absolute; top: '+y+'; left: '+x+';'
-        else
-            this.div.style = 'position: absolute; top: '+y+'; left: '+x+';'
+        let left = this.canvasPosition.x + x
+        let top = this.canvasPosition.y + y
+        this.div.style = 'position: absolute; top: '+top+'px; left: '+left+'px;'
         if (this.lastRasterCoord.x != x || this.lastRasterCoord.y != y)
         {    
             this.input.onMove()
@@ -120,6 +120,7 @@ export class Hotspot extends SceneObject
             }
             if (show)
             {
+                this.canvasPosition = sceneManager.getCanvasPosition()
                 this.setRasterCoordinates(rasterCoord.x, rasterCoord.y) 
                 this.show()
             }
@@ -8,27 +8,133 @@
  */
 export const ImportManager =
 {
+    retryCount : 0,
+    retryDelayInMs : 500,
+    timeoutInMs : 0,
+    failurePolicy : 'abort',
+
+    /**
+     * Sets the number of times a failed import is attempted again. The delay before each retry is doubled after every attempt.
+     * @param {Number} retryCount number of retries after the first failed attempt
+     * @param {Number} retryDelayInMs delay before the first retry in milliseconds
+     */
+    setRetryCount : function(retryCount, retryDelayInMs)
+    {
+        this.retryCount = retryCount
+        if (retryDelayInMs != undefined && retryDelayInMs != null)
+            this.retryDelayInMs = retryDelayInMs
+    },
+
+    /**
+     * Sets the duration after which an import attempt is considered failed. 0 disables the timeout.
+     * @param {Number} timeoutInMs timeout duration in milliseconds
+     */
+    setTimeoutInMs : function(timeoutInMs) { this.timeoutInMs = timeoutInMs },
+
+    /**
+     * Sets what happens to the remaining imports once an import fails.
+     * @param {String} failurePolicy 'abort' to stop notifying after the first failure, 'continue' to carry on with the remaining files
+     */
+    setFailurePolicy : function(failurePolicy) { this.failurePolicy = failurePolicy },
+
     /**
      * Imports all the files whose path is present within the pathMap
      * @param {Map} pathMap consist of the paths of the js files to be imported
      * @param {Function} onProgress callback that is called after every successful import
-     * @param {Function} onComplete callback that is called after successfully importing all files
+     * @param {Function} onComplete callback that is called after successfully importing all files. It receives the names of the failed imports
+     * @param {Function} onError callback that is called with the name and the error of a file that failed to import after all retries
      */
-    execute : function(pathMap, onProgress, onComplete)
+    execute : function(pathMap, onProgress, onComplete, onError)
     {
         if (onProgress == undefined)
             onProgress = (p, s)=>{}
         if (onComplete == undefined)
             onComplete = (m)=>{}
+        if (onError == undefined)
+            onError = (n, e)=>{}
         let names = pathMap.keys()
         let progress = 0
+        let aborted = false
+        let failedNames = []
         for (let name of names)
         {    
-            import(pathMap.get(name)).then((module)=>{
-                onProgress(name, module, Math.round((progress++/pathMap.size) * 100))
-                if (progress == pathMap.size)
-                    onComplete()
+            this.importModule(pathMap.get(name), 0).then((module)=>{
+                if (!aborted)
+                {
+                    onProgress(name, module, Math.round((progress++/pathMap.size) * 100))
+                    if (progress == pathMap.size)
+                        onComplete(failedNames)
+                }
+            }).catch((error)=>{
+                if (!aborted)
+                {
+                    onError(name, error)
+                    if (this.failurePolicy == 'continue')
+                    {
+                        failedNames.push(name)
+                        onProgress(name, null, Math.round((progress++/pathMap.size) * 100))
+                        if (progress == pathMap.size)
+                            onComplete(failedNames)
+                    }
+                    else
+                        aborted = true
+                }
+            })
+        }
+    },
+
+    /**
+     * Imports all the files whose path is present within the pathMap and returns a promise instead of taking completion callbacks.
+     * @param {Map} pathMap consist of the paths of the js files to be imported
+     * @param {Function} onProgress optional callback that is called after every successful import
+     * @returns {Promise<Map>} promise that resolves to a map of file names and imported modules. Failed imports are stored with null value
+     * if the failure policy is 'continue', otherwise the promise rejects with an error naming the file that failed.
+     */
+    executeAsync : function(pathMap, onProgress)
+    {
+        if (onProgress == undefined)
+            onProgress = (n, m, p)=>{}
+        let moduleMap = new Map()
+        return new Promise((resolve, reject)=>{
+            this.execute(pathMap, (name, module, progress)=>{
+                moduleMap.set(name, module)
+                onProgress(name, module, progress)
+            }, ()=>resolve(moduleMap), (name, error)=>{
+                if (this.failurePolicy != 'continue')
+                    reject(new Error('Failed to import '+name, { cause: error }))
+            })
+            if (pathMap.size == 0)
+                resolve(moduleMap)
+        })
+    },
+
+    /**
+     * Imports the file at the given path, retrying with exponential backoff on failure.
+     * Retries append a query parameter to the path since browsers remember failed module imports.
+     * @param {String} path path of the js file to be imported
+     * @param {Number} attempt number of attempts made before this one
+     * @returns {Promise} promise that resolves to the imported module
+     */
+    importModule : function(path, attempt)
+    {
+        let url = (attempt > 0) ? path + ((path.indexOf('?') < 0) ? '?' : '&') + 'retry=' + attempt : path
+        let timer = null
+        let importPromise = import(url)
+        if (this.timeoutInMs > 0)
+        {
+            let timeoutPromise = new Promise((resolve, reject)=>{
+                timer = setTimeout(()=>reject(new Error('Timed out after '+this.timeoutInMs+' ms while importing '+path)), this.timeoutInMs)
             })
+            importPromise = Promise.race([importPromise, timeoutPromise])
         }
+        return importPromise.then((module)=>{
+            clearTimeout(timer)
+            return module
+        }, (error)=>{
+            clearTimeout(timer)
+            if (attempt >= this.retryCount)
+                throw error
+            return new Promise(resolve=>setTimeout(resolve, this.retryDelayInMs * Math.pow(2, attempt))).then(()=>this.importModule(path, attempt + 1))
+        })
     }
-}
\ No newline at end of file
+}
@@ -19,14 +19,34 @@ export class InputManager extends SceneObject
 
     /**
      * Registers key event callbacks
-     * @param {Function} callback callback that is called whenever user presses a key in keyboard 
+     * @param {Function} callback callback that is called every frame with the map of the keys being pressed and the delta time in seconds
      */
     registerKeyEvent(callback) { this.keyEvent.callbacks.push(callback) }
 
+    /**
+     * Registers a callback for a keyboard shortcut such as 'Ctrl+Z' or 'Ctrl+Shift+Z'. The shortcut consists of the optional
+     * modifiers Ctrl, Shift and Alt followed by the key, and the command key works in place of the control key. The key may
+     * be '+' itself, e.g. 'Ctrl++'. Shift is not checked for keys that are a single character other than a letter, such as '+',
+     * since it is already part of the typed character.
+     * Unlike key event callbacks, which are called every frame while keys are held, the callback is called once per key press,
+     * and not while typing in text fields.
+     * @param {String} shortcut the keyboard shortcut
+     * @param {Function} callback callback that is called whenever user presses the shortcut
+     */
+    registerShortcut(shortcut, callback)
+    {
+        let separatorIndex = (shortcut.length > 1) ? shortcut.lastIndexOf('+', shortcut.length - 2) : -1
+        let key = shortcut.substring(separatorIndex + 1).trim().toLowerCase()
+        let modifiers = (separatorIndex > 0) ? shortcut.substring(0, separatorIndex).split('+').map(modifier => modifier.trim().toLowerCase()) : []
+        this.keyEvent.shortcuts.push({ key: key, ctrl: modifiers.includes('ctrl'), shift: modifiers.includes('shift'), 
+            alt: modifiers.includes('alt'), callback: callback })
+    }
+
     /**
      * Delegates call to KeyEventCore notify
+     * @param {Number} deltaSeconds time elapsed since the previous notification in seconds
      */
-    notifyKeyEvent() { this.keyEvent.notify() }
+    notifyKeyEvent(deltaSeconds) { this.keyEvent.notify(deltaSeconds) }
 
     /**
      * Sets the mouse sensitivity value
@@ -40,7 +60,8 @@ export class InputManager extends SceneObject
 
     /**
      * Registers mouse click callbacks
-     * @param {Function} onClick callback that is called whenever user click on mouse
+     * @param {Function} onClick callback that is called whenever user click on mouse with the x and y coordinate of the cursor
+     * relative to the top left corner of the canvas, which can be passed to SceneManager.shootRayFromCamera as raster coordinate
      */
     registerClickEvent(onClick)
     {
@@ -50,7 +71,8 @@ export class InputManager extends SceneObject
 
     /**
      * Registers mouse or touch cursor movement callbacks
-     * @param {Function} onMoveEvent callback that is called whenever the mouse or touch cursor is relocated
+     * @param {Function} onMoveEvent callback that is called whenever the mouse or touch cursor is relocated with the displacement
+     * of the cursor and its x and y coordinate relative to the top left corner of the canvas
      */
     registerMoveEvent(onMoveEvent)
     {
@@ -70,10 +92,12 @@ export class InputManager extends SceneObject
 
     /**
      * Called by SceneManager every frame.
-     * This function delegates call to KeyEventCore notify
+     * This function delegates call to KeyEventCore notify with the real time of the frame, so that movement driven by the
+     * keyboard, such as that of a first person camera, keeps working while the clock is paused or scaled.
      * @param {SceneManager} sceneManager the SceneManager object
+     * @param {FrameClock} clock the clock of the render loop
      */
-    onSceneRender(sceneManager) { this.keyEvent.notify() }
+    onSceneRender(sceneManager, clock) { this.keyEvent.notify(clock.getRealDelta()) }
 }
 
 /**
@@ -85,6 +109,7 @@ class KeyEventCore
     {
         this.keyMap = new Map()
         this.callbacks = []
+        this.shortcuts = []
         window.addEventListener("keydown", e=>this.onDown(e))
         window.addEventListener("keyup", e=>this.onUp(e))
     }
@@ -99,6 +124,30 @@ class KeyEventCore
         let entry = this.keyMap.get(event.key)
         if (entry == null || entry == undefined)
             this.keyMap.set(event.key, true)
+        this.notifyShortcuts(event)
+    }
+
+    /**
+     * Calls the callbacks of the shortcuts that match the pressed key and modifiers. Repeated key presses of a held key and
+     * key presses in editable elements are ignored, so that the browser handles them as usual.
+     * @param {KeyboardEvent} event 
+     */
+    notifyShortcuts(event)
+    {
+        let target = event.target
+        if (event.repeat || (target != undefined && target != null && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))))
+            return
+        let key = event.key.toLowerCase()
+        let checksShift = key.length > 1 || key.toUpperCase() != key
+        for (let shortcut of this.shortcuts)
+        {
+            if (shortcut.key == key && shortcut.ctrl == (event.ctrlKey || event.metaKey) && (!checksShift || shortcut.shift == event.shiftKey) 
+                && shortcut.alt == event.altKey)
+            {
+                event.preventDefault()
+                shortcut.callback()
+            }
+        }
     }
 
     /**
@@ -115,11 +164,12 @@ class KeyEventCore
 
     /**.
      * This function calls all the keyevent callbacks on every frame
+     * @param {Number} deltaSeconds time elapsed since the previous frame in seconds
      */
-    notify()
+    notify(deltaSeconds)
     {
         for (let callback of this.callbacks)
-            callback(this.keyMap)
+            callback(this.keyMap, deltaSeconds)
     }
 }
 
@@ -143,6 +193,7 @@ class MouseEventCore
         this.moveCallbacks = []
         this.dblClickCallbacks = []
         this.dblTapCounter = 0
+        this.canvas = canvas
         this.registerCanvasEvents(canvas)
     }
 
@@ -187,8 +238,9 @@ class MouseEventCore
                     }
                     else
                     {
+                        let position = Misc.clientToElement(this.canvas, event.clientX, event.clientY)
                         for (let clickCallback of this.clickCallbacks)
-                            clickCallback(event.clientX, event.clientY)
+                            clickCallback(position.x, position.y)
                     }
                     this.dblTapCounter = 0
                 }, 250) 
@@ -230,8 +282,9 @@ class MouseEventCore
             this.currentXY = { x: event.clientX, y: event.clientY }
             let deltaX = (this.currentXY.x - this.lastXY.x) * this.sensitivity
             let deltaY = (this.currentXY.y - this.lastXY.y) * this.sensitivity
+            let position = Misc.clientToElement(this.canvas, event.clientX, event.clientY)
             for (let moveCallback of this.moveCallbacks)
-                moveCallback(deltaX, deltaY, event.clientX, event.clientY)
+                moveCallback(deltaX, deltaY, position.x, position.y)
             this.lastXY = this.currentXY
         }
     }
@@ -53,6 +53,7 @@ export class DirectLight extends SceneObject
         super(name)
         this.light = new THREE.DirectionalLight(color, intensity)
         this.target = new THREE.Object3D()
+        this.target.userData.isHelper = true
         this.light.target = this.target
         this.drawables = []
         this.lensFlare = new Lensflare()
@@ -241,6 +242,7 @@ export class SpotLight extends SceneObject
         super(name)
         this.light = new THREE.SpotLight(color, intensity, distance, angle, penumbra)
         this.target = new THREE.Object3D()
+        this.target.userData.isHelper = true
         this.light.target = this.target
         this.drawables = []
         this.drawables.push({object: this.target, isRayCastable: false})
@@ -1,7 +1,27 @@
 import * as THREE from 'three'
 import { SceneObject } from './core/SceneManager.js'
+import { AssetRegistry } from './core/AssetRegistry.js'
+import { MaterialTransitions } from './core/MaterialTransitions.js'
+import { Finish } from './Finish.js'
+import { History } from './History.js'
+import { Decal } from './Decal.js'
+import { SceneExporter } from './core/SceneExporter.js'
+import { Glow } from './core/Glow.js'
 import { Misc } from './helpers/misc.js'
 
+const WHITE = new THREE.Color(1, 1, 1)
+const TILED_TEXTURE_KEYS = ['map', 'normalMap', 'roughnessMap', 'metalnessMap', 'aoMap', 'bumpMap', 'alphaMap', 'emissiveMap', 'sheenColorMap', 'sheenRoughnessMap']
+
+/**
+ * Decides how an animation clip of a MeshModel repeats. A clip played once stays at its last frame, e.g. an opened drawer.
+ */
+export const AnimationLoop =
+{
+    ONCE : 'once',
+    REPEAT : 'repeat',
+    PINGPONG : 'pingpong'
+}
+
 /**
  * Represents any simple shaped model with single mesh. Eg. : box mesh, sphere mesh etc.
  */
@@ -24,14 +44,30 @@ export class StaticModel extends SceneObject
     /**
      * Applies texture on the object.
      * @param {THREE.Texture} texture threejs texture object
+     * @param {Number} durationInMs optional duration in milliseconds of the cross-fade from the previous texture
      */
-    applyTexture(texture) { this.mesh.material.map = texture }
+    applyTexture(texture, durationInMs) 
+    { 
+        this.markDirty()
+        AssetRegistry.retain(this, texture)
+        let previousMap = this.mesh.material.map
+        this.mesh.material.map = texture 
+        this.mesh.material.needsUpdate = true
+        MaterialTransitions.crossFade(this.mesh.material, previousMap, this.mesh.material.color, durationInMs)
+    }
 
     /**
      * Applies color on the object.
      * @param {THREE.Color} color threejs color object 
+     * @param {Number} durationInMs optional duration in milliseconds of the cross-fade from the previous color
      */
-    applyColor(color) { this.mesh.material.color = color }
+    applyColor(color, durationInMs) 
+    { 
+        this.markDirty()
+        let previousColor = this.mesh.material.color
+        this.mesh.material.color = color 
+        MaterialTransitions.crossFade(this.mesh.material, this.mesh.material.map, previousColor, durationInMs)
+    }
 
     /**
      * Sets the position of the object in world space
@@ -39,7 +75,11 @@ export class StaticModel extends SceneObject
      * @param {Number} y y-coordinate in world space
      * @param {Number} z z-coordinate in world space 
      */
-    setPosition(x, y, z) { this.mesh.position.set(x, y, z) }
+    setPosition(x, y, z)
+    {
+        this.mesh.position.set(x, y, z)
+        this.markDirty()
+    }
 
     /**
      * Sets the rotation of the mesh in world space
@@ -47,7 +87,11 @@ export class StaticModel extends SceneObject
      * @param {Number} y y-coordinate in world space
      * @param {Number} z z-coordinate in world space 
      */
-    setRotation(x, y, z) { this.mesh.rotation.set(x, y, z) }
+    setRotation(x, y, z)
+    {
+        this.mesh.rotation.set(x, y, z)
+        this.markDirty()
+    }
 
     /**
      * Adds delta rotation into existing rotation values of the mesh in world space
@@ -57,6 +101,7 @@ export class StaticModel extends SceneObject
      */
     addRotation(dx, dy, dz) 
     { 
+        this.markDirty()
         this.mesh.rotation.x += dx 
         this.mesh.rotation.y += dy
         this.mesh.rotation.z += dz 
@@ -75,13 +120,21 @@ export class StaticModel extends SceneObject
     isDrawable() { return true }
 
     /**
-     * Called by SceneManager as soon as the object gets unregistered in SceneManager.
-     * @param {SceneManager} sceneManager the SceneManager object
+     * Captures the material, texture and transform state of the object for the History
+     * @returns {any} state of the object
      */
-    onSceneEnd(sceneManager) 
-    { 
-        this.mesh.geometry.dispose()
-        this.mesh.material.dispose()
+    captureState() { return History.captureObject(this.mesh) }
+
+    /**
+     * Restores the state of the object captured by captureState. The restored material and textures are retained again,
+     * since they may have been released after the state was captured.
+     * @param {any} state state of the object
+     */
+    restoreState(state)
+    {
+        History.restoreObject(state)
+        AssetRegistry.retainObject3D(this, this.mesh)
+        this.markDirty()
     }
 }
 
@@ -100,32 +153,38 @@ export class MeshModel extends SceneObject
         super(name)
         this.scene = model.scene.clone()
         Misc.postOrderTraversal(this.scene, mesh => {
-            if (mesh.material != undefined)
+            if (mesh.material != undefined && prepareMaterial(mesh.material, cullBackFace))
             {
-                if (cullBackFace != undefined && cullBackFace != null && cullBackFace)
-                    mesh.material.side = THREE.FrontSide
-                if (mesh.material.opacity == 1 && mesh.material._alphaTest == 0)
-                {
-                    mesh.material.shadowSide = THREE.BackSide
-                    mesh.receiveShadow = true
-                    mesh.castShadow = true
-                    mesh.material.envMapIntensity = 0
-                }
-                else if (mesh.material.opacity < 1)
-                {    
-                    mesh.material.transparent = true
-                    mesh.material.envMapIntensity = 3
-                }
+                mesh.receiveShadow = true
+                mesh.castShadow = true
             }
         })
-        const clip = model.animations[0]
+        this.animations = (model.animations != undefined && model.animations != null) ? model.animations : []
         this.mixer = null
-        if (clip != null && clip != undefined)
+        if (this.animations.length > 0)
         {
             this.mixer = new THREE.AnimationMixer(this.scene)
-            this.mixer.clipAction(clip).play()
+            this.mixer.addEventListener('finished', e => {
+                for (let callback of this._animationFinishCallbacks)
+                    callback(e.action.getClip().name)
+            })
         }
+        this._currentAction = null
+        this._animationSpeed = 1
+        this._animationFinishCallbacks = []
         this.drawables = [{object: this.scene, isRayCastable: false}]
+        this._baseMaterialValues = new Map()
+        this._tilingMap = new Map()
+        this._tiledTextureMap = new Map()
+        this._finishMap = new Map()
+        this._decals = []
+        this._variants = []
+        this._variantMaterialMap = new Map()
+        this._originalMaterialMap = new Map()
+        this._selectedVariant = null
+        this._variantsReady = true
+        this._parser = null
+        this._loadVariants(model, cullBackFace)
     }
 
     enableRayCastingOnTriMesh(enable) { this.drawables[0].isRayCastable = enable }
@@ -137,22 +196,185 @@ export class MeshModel extends SceneObject
     addDrawable(drawableObject) { this.drawables.push({object: drawableObject.mesh, isRayCastable: drawableObject.isRayCastable}) }
 
     /**
-     * Renders new animation frame
+     * Renders new animation frame. The model is marked dirty while a clip advances, so that its last frame is rendered too.
      * @param {Number} deltaSeconds the time difference of the target animation frame from the current animation frame  
      */
     updateAnimationFrame(deltaSeconds) 
     {        
         if (this.mixer != null)
+        {
+            if (this.isAnimating())
+                this.markDirty()
             this.mixer.update(deltaSeconds)
+        }
     } 
 
+    /**
+     * Returns the names of the animation clips of the model
+     * @returns {Array} array of clip names
+     */
+    getAnimationClips() { return this.animations.map(clip => clip.name) }
+
+    /**
+     * Plays the animation clip from its start, or from its end if the speed is negative. If another clip is playing, it fades
+     * out while the new clip fades in, or stops at once if no fade duration is given.
+     * @param {String} name name of the clip
+     * @param {String} loop optional value of AnimationLoop, by default the clip is played once
+     * @param {Number} fadeInMs optional duration of the crossfade from the current clip in milliseconds
+     * @returns {Boolean} true if the clip was found
+     */
+    playAnimation(name, loop, fadeInMs)
+    {
+        let clip = THREE.AnimationClip.findByName(this.animations, name)
+        if (clip == null)
+            return false
+        let action = this.mixer.clipAction(clip)
+        action.reset()
+        action.timeScale = this._animationSpeed
+        setLoop(action, (loop != undefined && loop != null) ? loop : AnimationLoop.ONCE)
+        if (this._animationSpeed < 0)
+            action.time = clip.duration
+        action.play()
+        if (this._currentAction != null && this._currentAction != action)
+        {
+            if (fadeInMs != undefined && fadeInMs != null && fadeInMs > 0)
+                this._currentAction.crossFadeTo(action, fadeInMs/1000, false)
+            else
+                this._currentAction.stop()
+        }
+        this._currentAction = action
+        return true
+    }
+
+    /**
+     * Pauses the current clip at its current frame
+     */
+    pauseAnimation()
+    {
+        if (this._currentAction != null)
+            this._currentAction.paused = true
+    }
+
+    /**
+     * Resumes the current clip after it was paused
+     */
+    resumeAnimation()
+    {
+        if (this._currentAction != null)
+            this._currentAction.paused = false
+    }
+
+    /**
+     * Stops all the clips and brings the model back to the pose it had before any clip was played
+     */
+    stopAnimation()
+    {
+        this.markDirty()
+        if (this.mixer != null)
+            this.mixer.stopAllAction()
+        this._currentAction = null
+    }
+
+    /**
+     * Sets how the current clip repeats
+     * @param {String} loop value of AnimationLoop
+     * @param {Number} repetitions optional number of repetitions, by default the clip repeats forever
+     */
+    setAnimationLoop(loop, repetitions)
+    {
+        if (this._currentAction != null)
+            setLoop(this._currentAction, loop, repetitions)
+    }
+
+    /**
+     * Sets the playback speed of the clips. A negative speed plays the clips backwards, e.g. to close an opened drawer.
+     * @param {Number} speed playback speed, 1 being the authored speed
+     */
+    setAnimationSpeed(speed)
+    {
+        this._animationSpeed = speed
+        if (this._currentAction != null)
+        {
+            this._currentAction.timeScale = speed
+            this._currentAction.paused = false
+        }
+    }
+
+    /**
+     * Moves the current clip to the given time and poses the model accordingly. A paused clip stays paused at that time.
+     * @param {Number} timeInSeconds time in the clip in seconds
+     */
+    setAnimationTime(timeInSeconds)
+    {
+        if (this._currentAction == null)
+            return
+        this._currentAction.enabled = true
+        this._currentAction.time = THREE.MathUtils.clamp(timeInSeconds, 0, this._currentAction.getClip().duration)
+        this.mixer.update(0)
+        this.markDirty()
+    }
+
+    /**
+     * Returns the time of the current clip
+     * @returns {Number} time in seconds, or 0 if no clip is playing
+     */
+    getAnimationTime() { return (this._currentAction != null) ? this._currentAction.time : 0 }
+
+    /**
+     * Returns the duration of the clip
+     * @param {String} name optional name of the clip, by default the current clip
+     * @returns {Number} duration in seconds, or 0 if there is no such clip
+     */
+    getAnimationDuration(name)
+    {
+        let clip = (name != undefined && name != null) ? THREE.AnimationClip.findByName(this.animations, name) : 
+            (this._currentAction != null) ? this._currentAction.getClip() : null
+        return (clip != null) ? clip.duration : 0
+    }
+
+    /**
+     * Returns the name of the current clip
+     * @returns {String} name of the clip, or null if no clip is playing
+     */
+    getCurrentAnimation() { return (this._currentAction != null) ? this._currentAction.getClip().name : null }
+
+    /**
+     * Checks if the current clip is advancing
+     * @returns {Boolean} true if a clip is playing and is neither paused nor finished
+     */
+    isAnimationPlaying() { return this._currentAction != null && this._currentAction.isRunning() }
+
+    /**
+     * Used for notifying the SceneManager if any clip is advancing, including a clip that is fading out
+     * @returns {Boolean} true if a clip is advancing
+     */
+    isAnimating()
+    {
+        if (this.mixer == null)
+            return false
+        return this.animations.some(clip => {
+            let action = this.mixer.existingAction(clip)
+            return action != null && action.isRunning()
+        })
+    }
+
+    /**
+     * Registers callbacks that are called whenever a clip that does not repeat forever reaches its end
+     * @param {Function} callback callback that receives the name of the clip
+     */
+    registerAnimationFinishEvent(callback) { this._animationFinishCallbacks.push(callback) }
+
     /**
      * Sets the position of the mesh in world space
      * @param {Number} x x-coordinate in world space
      * @param {Number} y y-coordinate in world space
      * @param {Number} z z-coordinate in world space 
      */
-    setPosition(x, y, z) { this.scene.position.set(x, y, z) }
+    setPosition(x, y, z)
+    {
+        this.scene.position.set(x, y, z)
+        this.markDirty()
+    }
 
     /**
      * Sets the rotation of the mesh in world space
@@ -160,7 +382,11 @@ export class MeshModel extends SceneObject
      * @param {Number} y y-coordinate in world space
      * @param {Number} z z-coordinate in world space 
      */
-    setRotation(x, y, z) { this.scene.rotation.set(x, y, z) }
+    setRotation(x, y, z)
+    {
+        this.scene.rotation.set(x, y, z)
+        this.markDirty()
+    }
 
     /**
      * Adds delta rotation into existing rotation values of the mesh in world space
@@ -170,6 +396,7 @@ export class MeshModel extends SceneObject
      */
     addRotation(dx, dy, dz) 
     { 
+        this.markDirty()
         this.scene.rotation.x += dx 
         this.scene.rotation.y += dy
         this.scene.rotation.z += dz 
@@ -181,6 +408,7 @@ export class MeshModel extends SceneObject
      */
     addRotationInEnvMap(delta) 
     {
+        this.markDirty()
         Misc.postOrderTraversal(this.scene, mesh => {
             if (mesh.material != undefined)
             {
@@ -204,62 +432,237 @@ export class MeshModel extends SceneObject
     /**
     * Applies texture on the model.
     * @param {THREE.Texture} texture threejs texture object
+    * @param {any} target optional selector of the materials to be textured, see getMaterials. All materials are textured if omitted.
+    * @param {Number} durationInMs optional duration in milliseconds of the cross-fade from the previous texture
     */
-    applyTexture(texture) 
+    applyTexture(texture, target, durationInMs) 
     { 
-        Misc.postOrderTraversal(this.scene, mesh => {
-            if (mesh.material != undefined)
-                mesh.material.map = texture 
-        }) 
+        this.markDirty()
+        AssetRegistry.retain(this, texture)
+        for (let material of this.getMaterials(target))
+        {
+            let previousMap = material.map
+            material.map = texture 
+            material.needsUpdate = true
+            this._applyTiling(material)
+            MaterialTransitions.crossFade(material, previousMap, material.color, durationInMs)
+        }
     }
 
     /**
     * Applies color on the model.
     * @param {THREE.Color} color threejs color object 
+    * @param {any} target optional selector of the materials to be colored, see getMaterials. All materials are colored if omitted.
+    * @param {Number} durationInMs optional duration in milliseconds of the cross-fade from the previous color
     */
-    applyColor(color) 
+    applyColor(color, target, durationInMs) 
     { 
-        Misc.postOrderTraversal(this.scene, mesh => {
-            if (mesh.material != undefined)
-                mesh.material.color = color 
-        }) 
+        this.markDirty()
+        for (let material of this.getMaterials(target))
+        {
+            let previousColor = material.color
+            material.color = color 
+            MaterialTransitions.crossFade(material, material.map, previousColor, durationInMs)
+        }
     }
 
     /**
     * Applies environment map on the model.
     * @param {THREE.Color} envmap environment map of scene
+    * @param {any} target optional selector of the materials, see getMaterials. All materials are affected if omitted.
     */
-    applyEnvmap(envmap)
+    applyEnvmap(envmap, target)
     {
-        Misc.postOrderTraversal(this.scene, mesh => {
-            if (mesh.material != undefined && mesh.material.isMeshStandardMaterial != undefined && mesh.material.isMeshStandardMaterial)
+        this.markDirty()
+        AssetRegistry.retain(this, envmap)
+        for (let material of this.getMaterials(target))
+        {
+            if (material.isMeshStandardMaterial != undefined && material.isMeshStandardMaterial)
             {    
-                mesh.material.envMap = envmap
-                mesh.material.needsUpdate = true
+                material.envMap = envmap
+                material.needsUpdate = true
             }
-        }) 
+        }
     }
 
     /**
-    * Applies normal map on the model.
-    * @param {THREE.Color} normalMap normal map of scene
+    * Applies the finish on the model. All the maps and values of the finish are applied together, and the properties the
+    * finish does not set are reset to the values the material had before its first finish. A material is replaced by a
+    * MeshPhysicalMaterial if the finish has sheen properties. The repeat of the finish becomes the tiling of the material slots.
+    * @param {Finish} finish the finish, e.g. a fabric with its diffuse, normal and roughness maps
+    * @param {any} target optional selector of the materials, see getMaterials. All materials are affected if omitted.
+    * @param {Number} durationInMs optional duration in milliseconds of the cross-fade from the previous map and color
+    * @returns {Array} array of the materials the finish is applied on, including the ones that replaced the targeted materials
     */
-    applyNormalmap(normalMap)
+    applyFinish(finish, target, durationInMs)
     {
-        Misc.postOrderTraversal(this.scene, mesh => {
-            if (mesh.material != undefined && mesh.material.isMeshStandardMaterial != undefined && mesh.material.isMeshStandardMaterial)
-            {    
-                mesh.material.normalMap = normalMap
-                mesh.material.needsUpdate = true
+        this.markDirty()
+        let finishedMaterials = []
+        for (let texture of finish.getTextures())
+            AssetRegistry.retain(this, texture)
+        for (let material of this.getMaterials(target))
+        {
+            if (material.isMeshStandardMaterial == undefined || !material.isMeshStandardMaterial)
+                continue
+            let previousMap = material.map
+            let previousColor = material.color
+            let baseValues = this._baseMaterialValues.get(material)
+            if (baseValues == undefined)
+                baseValues = Finish.capture(material)
+            if (finish.isPhysical() && (material.isMeshPhysicalMaterial == undefined || !material.isMeshPhysicalMaterial))
+            {
+                material = this._toPhysicalMaterial(material)
+                baseValues = Object.assign(Finish.capture(material), baseValues)
             }
-        }) 
+            this._baseMaterialValues.set(material, baseValues)
+            this._finishMap.set(material, finish)
+            finish.applyTo(material, baseValues)
+            if (finish.repeat != null)
+                this._setTiling(material, { repeat: finish.repeat })
+            else
+                this._applyTiling(material)
+            MaterialTransitions.crossFade(material, previousMap, previousColor, durationInMs)
+            finishedMaterials.push(material)
+        }
+        return finishedMaterials
+    }
+
+    /**
+    * Applies the normal map on the model. Only the normal map of the materials is replaced, their finish and other properties are kept.
+    * @param {THREE.Texture} normalMap threejs texture object
+    * @param {any} target optional selector of the materials, see getMaterials. All materials are affected if omitted.
+    */
+    applyNormalmap(normalMap, target)
+    {
+        this.markDirty()
+        AssetRegistry.retain(this, normalMap)
+        for (let material of this.getMaterials(target))
+        {
+            if (material.isMeshStandardMaterial != undefined && material.isMeshStandardMaterial)
+            {
+                material.normalMap = normalMap
+                material.needsUpdate = true
+                this._applyTiling(material)
+            }
+        }
+    }
+
+    /**
+    * Sets the repeat, offset and rotation of the maps of the material slots. The slots keep their tiling when textures or
+    * finishes are applied on them later. The maps of each slot are copies, so the tiling of one slot does not affect other slots.
+    * @param {any} tiling any of repeat {x, y}, offset {x, y} and rotation in radians around the center of the texture
+    * @param {any} target optional selector of the materials, see getMaterials. All materials are affected if omitted.
+    */
+    setTextureTiling(tiling, target)
+    {
+        for (let material of this.getMaterials(target))
+            this._setTiling(material, tiling)
+    }
+
+    /**
+    * Sets the repeat of the maps of the material slots from the physical size of the swatch, so that a pattern has the same
+    * scale on every model. The repeat is the size of the world space bounds of the meshes using the slot divided by the swatch
+    * size, along the two largest dimensions of the bounds. This assumes the UVs of the meshes span the texture once.
+    * @param {Number} swatchSize size of one tile of the texture in world space units, e.g. 30 for a 30 cm swatch on a model in centimeters
+    * @param {any} target optional selector of the materials, see getMaterials. All materials are affected if omitted.
+    */
+    setTextureTilingFromSwatchSize(swatchSize, target)
+    {
+        this.scene.updateMatrixWorld(true)
+        for (let material of this.getMaterials(target))
+        {
+            let bounds = new THREE.Box3()
+            this._traverseMaterials((mesh, meshMaterial) => {
+                if (meshMaterial == material)
+                    bounds.expandByObject(mesh)
+            })
+            let size = bounds.getSize(new THREE.Vector3())
+            let dimensions = [size.x, size.y, size.z].sort((d1, d2) => d2 - d1)
+            this._setTiling(material, { repeat: { x: dimensions[0]/swatchSize, y: dimensions[1]/swatchSize } })
+        }
+    }
+
+    /**
+    * Returns the tiling of the material slot
+    * @param {THREE.Material} material threejs material of the slot
+    * @returns {any} repeat, offset and rotation of the maps, or null if no tiling is set on the slot
+    */
+    getTextureTiling(material)
+    {
+        let tiling = this._tilingMap.get(material)
+        return (tiling != undefined) ? tiling : null
+    }
+
+    /**
+    * Returns the finish applied last on the material slot
+    * @param {THREE.Material} material threejs material of the slot
+    * @returns {Finish} the finish, or null if no finish is applied on the slot
+    */
+    getFinish(material)
+    {
+        let finish = this._finishMap.get(material)
+        return (finish != undefined) ? finish : null
+    }
+
+    /**
+    * Returns the distinct materials of the model picked by the target selector. The selector may hold any of the following
+    * arrays of glob patterns, e.g. { materials: ['Fabric*'] }:
+    * nodes - names of the meshes or of any of their ancestor nodes,
+    * materials - names of the materials,
+    * tags - tags in the userData of the meshes, their ancestors or the materials, set either as userData.tag or userData.tags.
+    * A material is picked only if it matches every array given in the selector. The selector may also be a material of the model itself.
+    * @param {any} target optional selector of the materials. All materials are returned if omitted.
+    * @returns {Array} array of threejs materials
+    */
+    getMaterials(target)
+    {
+        let materials = new Set()
+        this._traverseMaterials((mesh, material) => {
+            if (this._isTargeted(target, mesh, material))
+                materials.add(material)
+        })
+        return Array.from(materials)
+    }
+
+    /**
+    * Makes the meshes of the model glow, e.g. lamp shades or LED strips. The glow is set on the meshes rather than on the
+    * materials, so that other models sharing the materials do not glow.
+    * @param {Number} strength strength of the glow, see Glow.set. 0 stops the glow and null removes the setting.
+    * @param {any} target optional selector of the materials whose meshes glow, see getMaterials. All the meshes glow if omitted.
+    */
+    setGlow(strength, target)
+    {
+        this.markDirty()
+        this._traverseMaterials((mesh, material) => {
+            if (this._isTargeted(target, mesh, material))
+                Glow.set(mesh, strength)
+        })
+    }
+
+    /**
+    * Returns the material slots of the model, one for every distinct material.
+    * @returns {Array} array of slots, each holding the name of the material, the material itself, the names of the meshes using it and its tags
+    */
+    getMaterialSlots()
+    {
+        let slotMap = new Map()
+        this._traverseMaterials((mesh, material) => {
+            let slot = slotMap.get(material)
+            if (slot == undefined)
+            {
+                slot = { name: material.name, material: material, meshes: [], tags: getTags(material) }
+                slotMap.set(material, slot)
+            }
+            slot.meshes.push(mesh.name)
+        })
+        return Array.from(slotMap.values())
     }
 
     /**
     * Used for notifying the SceneManager if this object is ready to be included in scene.
     * @returns {Boolean} ready status of object
     */
-    isReady() { return true }
+    isReady() { return this._variantsReady }
 
     /**
     * Returns the list of drawable threejs meshes
@@ -274,34 +677,444 @@ export class MeshModel extends SceneObject
     isDrawable() { return true }
 
     /**
-     * Called by SceneManager as soon as the object gets unregistered in SceneManager.
-     * @param {SceneManager} sceneManager the SceneManager object
+    * Replaces the standard material with a physical material of the same properties in all the meshes of the model
+    * @param {THREE.MeshStandardMaterial} material threejs standard material
+    * @returns {THREE.MeshPhysicalMaterial} the physical material
+    */
+    _toPhysicalMaterial(material)
+    {
+        let physicalMaterial = new THREE.MeshPhysicalMaterial()
+        THREE.MeshStandardMaterial.prototype.copy.call(physicalMaterial, material)
+        physicalMaterial.defines = { 'STANDARD': '', 'PHYSICAL': '' }
+        Misc.postOrderTraversal(this.scene, mesh => {
+            if (Array.isArray(mesh.material))
+                mesh.material = mesh.material.map(m => (m == material) ? physicalMaterial : m)
+            else if (mesh.material == material)
+                mesh.material = physicalMaterial
+        })
+        this._baseMaterialValues.delete(material)
+        for (let materialMap of [this._tilingMap, this._tiledTextureMap, this._finishMap])
+        {
+            if (materialMap.has(material))
+            {
+                materialMap.set(physicalMaterial, materialMap.get(material))
+                materialMap.delete(material)
+            }
+        }
+        AssetRegistry.retain(this, physicalMaterial)
+        AssetRegistry.release(this, material)
+        return physicalMaterial
+    }
+
+    /**
+    * Projects an image decal such as a monogram or a logo onto the surface of the model at the hit point
+    * @param {THREE.Texture} texture image of the decal
+    * @param {any} hitData hit data returned by SceneManager.shootRayFromCamera for a mesh of this model
+    * @param {Number} size width of the decal in world space units. The height follows the aspect ratio of the image.
+    * @param {Number} rotation optional rotation of the decal around the surface normal in radians
+    * @returns {Decal} the decal, which can be moved, resized and rotated
+    */
+    addDecal(texture, hitData, size, rotation)
+    {
+        this.markDirty()
+        AssetRegistry.retain(this, texture)
+        let decal = new Decal(texture, hitData, size, rotation, ()=>this.markDirty())
+        this._decals.push(decal)
+        return decal
+    }
+
+    /**
+     * Adds a decal of this model back after it was removed, e.g. to undo its removal
+     * @param {Decal} decal the decal returned by addDecal
      */
-    onSceneEnd(sceneManager) 
+    insertDecal(decal)
     {
-        for (let drawable of this.drawables)
-        {    
-            Misc.postOrderTraversal(drawable.object, mesh => {
-                if (mesh.isMesh != undefined)
+        if (this._decals.includes(decal))
+            return
+        AssetRegistry.retain(this, decal.texture)
+        decal.update()
+        this._decals.push(decal)
+    }
+
+    /**
+    * Removes the decal from the model
+    * @param {Decal} decal the decal
+    */
+    removeDecal(decal)
+    {
+        this.markDirty()
+        let index = this._decals.indexOf(decal)
+        if (index >= 0)
+        {
+            this._decals.splice(index, 1)
+            decal.remove()
+        }
+    }
+
+    /**
+    * Returns the decals of the model
+    * @returns {Array} array of decals
+    */
+    getDecals() { return this._decals.slice() }
+
+    /**
+    * Finds the decal whose mesh is the given threejs object, e.g. the object of a ray cast hit
+    * @param {THREE.Object3D} threeJsObject threejs object
+    * @returns {Decal} the decal, or null if the object is not a decal of this model
+    */
+    findDecal(threeJsObject)
+    {
+        let decal = this._decals.find(decal => decal.mesh == threeJsObject)
+        return (decal != undefined) ? decal : null
+    }
+
+    /**
+    * Checks if the threejs object is part of the model, e.g. the object of a ray cast hit
+    * @param {THREE.Object3D} threeJsObject threejs object
+    * @returns {Boolean} true if the object is the scene of the model or one of its descendants
+    */
+    hasObject(threeJsObject)
+    {
+        for (let node = threeJsObject; node != null; node = node.parent)
+        {
+            if (node == this.scene)
+                return true
+        }
+        return false
+    }
+
+    /**
+    * Called by SceneManager as soon as the object gets unregistered in SceneManager. Removes the decals of the model.
+    * @param {SceneManager} sceneManager the SceneManager object
+    */
+    onSceneEnd(sceneManager)
+    {
+        for (let decal of this._decals)
+            decal.remove()
+        this._decals = []
+    }
+
+    /**
+    * Exports the model with its current variant, textures, finishes, colors, decals and transform to binary glTF
+    * @returns {Promise} promise that resolves to a Blob holding the GLB file
+    */
+    exportGLB() { return SceneExporter.exportGLB([this.scene]) }
+
+    /**
+    * Captures the material, texture, finish, variant, tiling and transform state of the model for the History
+    * @returns {any} state of the model
+    */
+    captureState()
+    {
+        let tilings = new Map()
+        for (let [material, tiling] of this._tilingMap)
+            tilings.set(material, { repeat: tiling.repeat.clone(), offset: tiling.offset.clone(), rotation: tiling.rotation })
+        return { object: History.captureObject(this.scene), variant: this._selectedVariant, tilings: tilings, finishes: new Map(this._finishMap) }
+    }
+
+    /**
+    * Restores the state of the model captured by captureState. The restored materials and textures are retained again,
+    * since they may have been released after the state was captured, e.g. a material replaced by a MeshPhysicalMaterial.
+    * @param {any} state state of the model
+    */
+    restoreState(state)
+    {
+        History.restoreObject(state.object)
+        AssetRegistry.retainObject3D(this, this.scene)
+        this._selectedVariant = state.variant
+        this._finishMap = new Map(state.finishes)
+        this._tilingMap = new Map()
+        for (let [material, tiling] of state.tilings)
+            this._tilingMap.set(material, { repeat: tiling.repeat.clone(), offset: tiling.offset.clone(), rotation: tiling.rotation })
+        this.markDirty()
+    }
+
+    /**
+    * Returns the names of the material variants declared in the model through the KHR_materials_variants extension of glTF
+    * @returns {Array} array of variant names, empty if the model has no variants
+    */
+    getVariants() { return this._variants.slice() }
+
+    /**
+    * Returns the name of the selected material variant
+    * @returns {String} name of the selected variant, or null if the original materials are shown
+    */
+    getSelectedVariant() { return this._selectedVariant }
+
+    /**
+    * Switches the materials of the model to the given variant. The materials of all variants are loaded along with the model,
+    * and the original materials are kept, so switching is instant in both directions. A variant selected before the
+    * materials are loaded is applied as soon as they are.
+    * @param {String} name name of the variant, or null to switch back to the original materials
+    * @returns {Boolean} true if the variant exists
+    */
+    selectVariant(name)
+    {
+        let variantIndex = (name != undefined && name != null) ? this._variants.indexOf(name) : -1
+        if (name != undefined && name != null && variantIndex < 0)
+            return false
+        this._selectedVariant = (variantIndex < 0) ? null : name
+        if (!this._variantsReady)
+            return true
+        this.markDirty()
+        Misc.postOrderTraversal(this.scene, mesh => {
+            let extension = getVariantsExtension(mesh)
+            if (mesh.isMesh == undefined || extension == undefined)
+                return
+            if (!this._originalMaterialMap.has(mesh))
+                this._originalMaterialMap.set(mesh, mesh.material)
+            let previousMaterial = mesh.material
+            mesh.material = this._originalMaterialMap.get(mesh)
+            for (let mapping of extension.mappings)
+            {
+                if (mapping.variants.includes(variantIndex) && this._variantMaterialMap.has(mapping.material))
                 {
-                    mesh.geometry.dispose()
-                    mesh.material.dispose()
+                    mesh.material = this._variantMaterialMap.get(mapping.material)
+                    this._parser.assignFinalMaterial(mesh)
                 }
-            })
+            }
+            if (mesh.material.envMap == null && previousMaterial.envMap != undefined && previousMaterial.envMap != null)
+            {
+                mesh.material.envMap = previousMaterial.envMap
+                mesh.material.needsUpdate = true
+            }
+            AssetRegistry.retainObject3D(this, mesh)
+        })
+        return true
+    }
+
+    /**
+    * Reads the variant names of the model and loads the materials of all variants
+    * @param {any} model model data extracted from a glTF file
+    * @param {Boolean} cullBackFace culls the back face of triangles if set to true
+    */
+    _loadVariants(model, cullBackFace)
+    {
+        let extension = getVariantsExtension(model)
+        if (extension == undefined || model.parser == undefined)
+            return
+        this._variants = extension.variants.map(variant => variant.name)
+        this._parser = model.parser
+        let materialIndices = new Set()
+        Misc.postOrderTraversal(this.scene, mesh => {
+            let meshExtension = getVariantsExtension(mesh)
+            if (meshExtension != undefined)
+            {
+                for (let mapping of meshExtension.mappings)
+                    materialIndices.add(mapping.material)
+            }
+        })
+        this._variantsReady = false
+        let promises = Array.from(materialIndices).map(index => model.parser.getDependency('material', index).then(material => {
+            prepareMaterial(material, cullBackFace)
+            this._variantMaterialMap.set(index, material)
+        }))
+        Promise.allSettled(promises).then(() => {
+            this._variantsReady = true
+            if (this._selectedVariant != null)
+                this.selectVariant(this._selectedVariant)
+        })
+    }
+
+    /**
+    * Merges the tiling into the current tiling of the material slot and applies it
+    * @param {THREE.Material} material threejs material of the slot
+    * @param {any} tiling any of repeat {x, y}, offset {x, y} and rotation in radians
+    */
+    _setTiling(material, tiling)
+    {
+        this.markDirty()
+        let currentTiling = this._tilingMap.get(material)
+        if (currentTiling == undefined)
+            currentTiling = { repeat: new THREE.Vector2(1, 1), offset: new THREE.Vector2(), rotation: 0 }
+        if (tiling.repeat != undefined)
+            currentTiling.repeat.set(tiling.repeat.x, tiling.repeat.y)
+        if (tiling.offset != undefined)
+            currentTiling.offset.set(tiling.offset.x, tiling.offset.y)
+        if (tiling.rotation != undefined)
+            currentTiling.rotation = tiling.rotation
+        this._tilingMap.set(material, currentTiling)
+        this._applyTiling(material)
+    }
+
+    /**
+    * Applies the tiling of the material slot on its maps. Every map is replaced by a copy owned by the slot the first time,
+    * which shares the image of the original texture.
+    * @param {THREE.Material} material threejs material of the slot
+    */
+    _applyTiling(material)
+    {
+        let tiling = this._tilingMap.get(material)
+        if (tiling == undefined)
+            return
+        let tiledTextures = this._tiledTextureMap.get(material)
+        if (tiledTextures == undefined)
+        {
+            tiledTextures = new Map()
+            this._tiledTextureMap.set(material, tiledTextures)
         }
+        for (let key of TILED_TEXTURE_KEYS)
+        {
+            let texture = material[key]
+            if (texture == undefined || texture == null)
+                continue
+            let tiledTexture = tiledTextures.get(key)
+            if (texture != tiledTexture)
+            {
+                if (tiledTexture != undefined)
+                    AssetRegistry.release(this, tiledTexture)
+                tiledTexture = texture.clone()
+                tiledTexture.wrapS = THREE.RepeatWrapping
+                tiledTexture.wrapT = THREE.RepeatWrapping
+                tiledTexture.center.set(0.5, 0.5)
+                tiledTextures.set(key, tiledTexture)
+                AssetRegistry.retain(this, tiledTexture)
+                material[key] = tiledTexture
+                material.needsUpdate = true
+            }
+            tiledTexture.repeat.copy(tiling.repeat)
+            tiledTexture.offset.copy(tiling.offset)
+            tiledTexture.rotation = tiling.rotation
+        }
+    }
+
+    /**
+    * Calls the callback with every mesh of the model and each of its materials
+    * @param {Function} onMaterial callback that receives the mesh and the material
+    */
+    _traverseMaterials(onMaterial)
+    {
+        Misc.postOrderTraversal(this.scene, mesh => {
+            if (mesh.material != undefined && mesh.material != null && !mesh.userData.isDecal)
+            {
+                let materials = (Array.isArray(mesh.material)) ? mesh.material : [mesh.material]
+                for (let material of materials)
+                    onMaterial(mesh, material)
+            }
+        })
     }
+
+    /**
+    * Checks if the material of the mesh is picked by the target selector
+    * @param {any} target selector of the materials, see getMaterials
+    * @param {THREE.Mesh} mesh mesh using the material
+    * @param {THREE.Material} material material of the mesh
+    * @returns {Boolean} true if the material is picked
+    */
+    _isTargeted(target, mesh, material)
+    {
+        if (target == undefined || target == null)
+            return true
+        if (target.isMaterial != undefined && target.isMaterial)
+            return target == material
+        let nodeNames = []
+        let tags = getTags(material)
+        for (let node = mesh; node != null; node = node.parent)
+        {
+            nodeNames.push(node.name)
+            tags = tags.concat(getTags(node))
+            if (node == this.scene)
+                break
+        }
+        return (target.nodes == undefined || Misc.matchesGlob(nodeNames, target.nodes)) 
+            && (target.materials == undefined || Misc.matchesGlob([material.name], target.materials))
+            && (target.tags == undefined || Misc.matchesGlob(tags, target.tags))
+    }
+}
+
+/**
+ * Sets up the material the way the models are rendered, i.e. culling, shadows and envmap intensity based on the opacity
+ * @param {THREE.Material} material threejs material
+ * @param {Boolean} cullBackFace culls the back face of triangles if set to true
+ * @returns {Boolean} true if the material is opaque, in which case the mesh should cast and receive shadows
+ */
+function prepareMaterial(material, cullBackFace)
+{
+    if (cullBackFace != undefined && cullBackFace != null && cullBackFace)
+        material.side = THREE.FrontSide
+    if (material.opacity == 1 && material._alphaTest == 0)
+    {
+        material.shadowSide = THREE.BackSide
+        material.envMapIntensity = 0
+        return true
+    }
+    else if (material.opacity < 1)
+    {    
+        material.transparent = true
+        material.envMapIntensity = 3
+    }
+    return false
+}
+
+/**
+ * Sets the threejs loop mode of the animation action. Clips that end stay at their last frame.
+ * @param {THREE.AnimationAction} action threejs animation action
+ * @param {String} loop value of AnimationLoop
+ * @param {Number} repetitions optional number of repetitions, by default the clip repeats forever
+ */
+function setLoop(action, loop, repetitions)
+{
+    let loopModes = { [AnimationLoop.ONCE]: THREE.LoopOnce, [AnimationLoop.REPEAT]: THREE.LoopRepeat, [AnimationLoop.PINGPONG]: THREE.LoopPingPong }
+    action.setLoop(loopModes[loop], (repetitions != undefined && repetitions != null) ? repetitions : Infinity)
+    action.clampWhenFinished = true
+}
+
+/**
+ * Returns the KHR_materials_variants extension data that GLTFLoader keeps in the userData of the glTF root or of a mesh
+ * @param {any} object glTF data or threejs object
+ * @returns {any} the extension data, or undefined if there is none
+ */
+function getVariantsExtension(object)
+{
+    if (object.userData == undefined || object.userData.gltfExtensions == undefined)
+        return undefined
+    return object.userData.gltfExtensions['KHR_materials_variants']
 }
 
+/**
+ * Returns the tags set in the userData of the threejs object or material
+ * @param {THREE.Object3D | THREE.Material} object threejs object or material
+ * @returns {Array} array of tags
+ */
+function getTags(object)
+{
+    let userData = object.userData
+    if (userData == undefined || userData == null)
+        return []
+    if (Array.isArray(userData.tags))
+        return userData.tags
+    return (userData.tag != undefined) ? [userData.tag] : []
+}
+
+/**
+ * Represents a model drawn many times in a single draw call, e.g. the chairs of a room layout. Instances are referred by
+ * their ids, which stay the same until the instance is removed. Ids of removed instances are reused by the instances added
+ * later, and the capacity grows as instances are added.
+ */
 export class InstancedModel extends MeshModel
 {
+    /**
+     * @param {String} name name of the object which is used in sending or receiving message
+     * @param {any} model model data extracted from a 3D file
+     * @param {Number} instanceCount optional number of instances placed at the origin to begin with, by default 0
+     * @param {Boolean} cullBackFace if true then the back faces of the model are not drawn
+     */
     constructor(name, model, instanceCount, cullBackFace)
     {
         super(name, model, cullBackFace)
-        this._instanceMeshMap = new Map()
-        this._modelMatrixMap = new Map()
-        this._positions = new Array(instanceCount).fill(new THREE.Vector3(), 0, instanceCount)
-        this._rotations = new Array(instanceCount).fill(new THREE.Quaternion(), 0, instanceCount)
-        this._scales = new Array(instanceCount).fill(new THREE.Vector3(1, 1, 1), 0, instanceCount)
+        if (instanceCount == undefined || instanceCount == null)
+            instanceCount = 0
+        this._instancedMeshes = []
+        this._capacity = Math.max(instanceCount, 1)
+        this._slotCount = 0
+        this._freeSlots = []
+        this._positions = []
+        this._rotations = []
+        this._scales = []
+        this._colors = []
+        this._visibilities = []
+        for (let i=0; i<instanceCount; i++)
+            this._allocateSlot()
         this._traverseMeshTree(this.scene, (mesh, modelMatrix) => 
         {
             if (mesh.isMesh != undefined && mesh.isMesh)
@@ -309,73 +1122,196 @@ export class InstancedModel extends MeshModel
                 let index = mesh.parent.children.indexOf(mesh)
                 if (index >= 0)
                 {
-                    let instancedMesh = new THREE.InstancedMesh(mesh.geometry, mesh.material, instanceCount)
-                    for (let i=0; i<instanceCount; i++)   
-                    {    
-                        let instanceMatrix = new THREE.Matrix4().compose(new THREE.Vector3(), new THREE.Quaternion(), new THREE.Vector3(1, 1, 1))
-                        instancedMesh.setMatrixAt(i, instanceMatrix.multiply(modelMatrix))
-                        instancedMesh.instanceMatrix.needsUpdate = true
-                    }
-                    if (instancedMesh.material.opacity == 1)
-                    {
-                        instancedMesh.material.shadowSide = THREE.BackSide
-                        instancedMesh.receiveShadow = true
-                        instancedMesh.castShadow = true
-                        instancedMesh.material.envMapIntensity = 0
-                    }
-                    else
-                    {    
-                        instancedMesh.material.transparent = true
-                        instancedMesh.material.envMapIntensity = 3
-                    }
-                    for (let child of mesh.children)
-                        instancedMesh.children.push(child)
-                    this._instanceMeshMap.set(instancedMesh.uuid, instancedMesh)
-                    this._modelMatrixMap.set(instancedMesh.uuid, modelMatrix)
-                    mesh.parent.children[index] = instancedMesh
+                    let instancedMesh = new THREE.InstancedMesh(mesh.geometry, mesh.material, this._capacity)
+                    instancedMesh.count = this._slotCount
+                    prepareMaterial(instancedMesh.material, cullBackFace)
+                    let parentInverse = new THREE.Matrix4().compose(mesh.position, mesh.quaternion, mesh.scale).multiply(modelMatrix.clone().invert())
+                    this._instancedMeshes.push({ mesh: instancedMesh, modelMatrix: modelMatrix, parentInverse: parentInverse })
+                    adoptMesh(instancedMesh, mesh)
                 }
             }
         })
+        for (let i=0; i<this._slotCount; i++)
+            this._updateInstance(i)
+    }
+
+    /**
+     * Adds an instance, growing the capacity if all the instances are in use
+     * @param {THREE.Vector3} position optional position of the instance, by default the origin
+     * @param {THREE.Quaternion} rotation optional rotation of the instance
+     * @param {THREE.Vector3} scale optional scale of the instance
+     * @param {THREE.Color} color optional color of the instance
+     * @returns {Number} id of the instance
+     */
+    addInstance(position, rotation, scale, color)
+    {
+        let index = (this._freeSlots.length > 0) ? this._freeSlots.pop() : this._allocateSlot()
+        this._positions[index].set(0, 0, 0)
+        this._rotations[index].identity()
+        this._scales[index].set(1, 1, 1)
+        this._visibilities[index] = true
+        if (position != undefined && position != null)
+            this._positions[index].copy(position)
+        if (rotation != undefined && rotation != null)
+            this._rotations[index].copy(rotation)
+        if (scale != undefined && scale != null)
+            this._scales[index].copy(scale)
+        this.setInstanceColorAt(index, (color != undefined) ? color : null)
+        this._updateInstance(index)
+        return index
+    }
+
+    /**
+     * Removes the instance. Its id may be given to an instance added later.
+     * @param {Number} index id of the instance
+     * @returns {Boolean} true if there was such an instance
+     */
+    removeInstance(index)
+    {
+        if (!this.hasInstance(index))
+            return false
+        this._freeSlots.push(index)
+        this._visibilities[index] = false
+        this._updateInstance(index)
+        while (this._slotCount > 0 && this._freeSlots.includes(this._slotCount - 1))
+        {
+            this._freeSlots.splice(this._freeSlots.indexOf(this._slotCount - 1), 1)
+            this._slotCount--
+        }
+        this._updateCount()
+        return true
+    }
+
+    /**
+     * Checks if there is an instance with the id
+     * @param {Number} index id of the instance
+     * @returns {Boolean} true if the instance exists
+     */
+    hasInstance(index) { return index >= 0 && index < this._slotCount && !this._freeSlots.includes(index) }
+
+    /**
+     * Returns the number of instances, hidden instances included
+     * @returns {Number} number of instances
+     */
+    getInstanceCount() { return this._slotCount - this._freeSlots.length }
+
+    /**
+     * Returns the ids of all the instances
+     * @returns {Array} array of instance ids
+     */
+    getInstanceIds()
+    {
+        let ids = []
+        for (let i=0; i<this._slotCount; i++)
+        {
+            if (!this._freeSlots.includes(i))
+                ids.push(i)
+        }
+        return ids
+    }
+
+    /**
+     * Returns the id of the instance that was hit by a ray, e.g. by SceneManager.shootRayFromCamera
+     * @param {any} hitData hit data of one of the hit objects
+     * @returns {Number} id of the instance, or -1 if the hit object is not an instance of this model
+     */
+    getInstanceId(hitData)
+    {
+        let isOwnMesh = this._instancedMeshes.find(entry => entry.mesh == hitData.object) != undefined
+        if (!isOwnMesh || hitData.instanceId == undefined || !this.hasInstance(hitData.instanceId))
+            return -1
+        return hitData.instanceId
     }
 
     setInstancePositionAt(index, position)
     {
-        if (index < this._positions.length)
+        if (this.hasInstance(index))
         {
-            this._positions.splice(index, 1, position)
+            this._positions[index].copy(position)
             this._updateInstance(index)
         }
     }
 
     setInstanceEulerRotationAt(index, rotation)
     {
-        if (index < this._rotations.length)
+        if (this.hasInstance(index))
         {
-            let quaternion = new THREE.Quaternion()
-            quaternion.setFromEuler(rotation)
-            this._rotations.splice(index, 1, quaternion)
+            this._rotations[index].setFromEuler(rotation)
             this._updateInstance(index)
         }
     }
 
     setInstanceQuatRotationAt(index, rotation)
     {
-        if (index < this._rotations.length)
+        if (this.hasInstance(index))
         {
-            this._rotations.splice(index, 1, rotation)
+            this._rotations[index].copy(rotation)
             this._updateInstance(index)
         }
     }
 
     setInstanceScaleAt(index, scale)
     {
-        if (index < this._scales)
+        if (this.hasInstance(index))
+        {
+            this._scales[index].copy(scale)
+            this._updateInstance(index)
+        }
+    }
+
+    /**
+     * Sets the color of the instance, which multiplies the color of the materials
+     * @param {Number} index id of the instance
+     * @param {THREE.Color} color color of the instance, or null to draw the instance with the colors of the materials
+     */
+    setInstanceColorAt(index, color)
+    {
+        if (!this.hasInstance(index))
+            return
+        this._colors[index] = (color != null) ? color.clone() : null
+        if (color == null && this._instancedMeshes.every(entry => entry.mesh.instanceColor == null))
+            return
+        for (let entry of this._instancedMeshes)
+        {
+            if (entry.mesh.instanceColor == null)
+            {
+                entry.mesh.instanceColor = createInstanceColors(this._capacity)
+                entry.mesh.material.needsUpdate = true
+            }
+            entry.mesh.setColorAt(index, (color != null) ? color : WHITE)
+            entry.mesh.instanceColor.needsUpdate = true
+        }
+        this.markDirty()
+    }
+
+    /**
+     * Returns the color of the instance
+     * @param {Number} index id of the instance
+     * @returns {THREE.Color} color of the instance, or null if it has none
+     */
+    getInstanceColorAt(index) { return (this.hasInstance(index) && this._colors[index] != null) ? this._colors[index].clone() : null }
+
+    /**
+     * Shows or hides the instance. Hidden instances are neither drawn nor hit by rays.
+     * @param {Number} index id of the instance
+     * @param {Boolean} visible if true then the instance is shown
+     */
+    setInstanceVisible(index, visible)
+    {
+        if (this.hasInstance(index))
         {
-            this._scales.splice(index, 1, scale)
+            this._visibilities[index] = visible
             this._updateInstance(index)
         }
     }
 
+    /**
+     * Checks if the instance is shown
+     * @param {Number} index id of the instance
+     * @returns {Boolean} true if the instance exists and is shown
+     */
+    isInstanceVisible(index) { return this.hasInstance(index) && this._visibilities[index] }
+
     _traverseMeshTree(mesh, onNode, parentMatrix)
     {
         if (mesh.children.length > 0)
@@ -400,16 +1336,115 @@ export class InstancedModel extends MeshModel
         }
     }
 
+    /**
+     * Adds a slot for an instance at the end, doubling the capacity of the instanced meshes if they are full
+     * @returns {Number} index of the slot
+     */
+    _allocateSlot()
+    {
+        if (this._slotCount == this._capacity)
+            this._grow(this._capacity * 2)
+        let index = this._slotCount++
+        if (index == this._positions.length)
+        {
+            this._positions.push(new THREE.Vector3())
+            this._rotations.push(new THREE.Quaternion())
+            this._scales.push(new THREE.Vector3(1, 1, 1))
+            this._colors.push(null)
+            this._visibilities.push(true)
+        }
+        this._updateCount()
+        return index
+    }
+
+    /**
+     * Replaces the instanced meshes with bigger ones that keep the matrices and colors of the instances
+     * @param {Number} capacity number of instances the new meshes can hold
+     */
+    _grow(capacity)
+    {
+        for (let entry of this._instancedMeshes)
+        {
+            let instancedMesh = new THREE.InstancedMesh(entry.mesh.geometry, entry.mesh.material, capacity)
+            instancedMesh.instanceMatrix.array.set(entry.mesh.instanceMatrix.array)
+            if (entry.mesh.instanceColor != null)
+            {
+                instancedMesh.instanceColor = createInstanceColors(capacity)
+                instancedMesh.instanceColor.array.set(entry.mesh.instanceColor.array)
+            }
+            adoptMesh(instancedMesh, entry.mesh)
+            if (this._originalMaterialMap.has(entry.mesh))
+            {
+                this._originalMaterialMap.set(instancedMesh, this._originalMaterialMap.get(entry.mesh))
+                this._originalMaterialMap.delete(entry.mesh)
+            }
+            entry.mesh.dispose()
+            entry.mesh = instancedMesh
+        }
+        this._capacity = capacity
+    }
+
+    /**
+     * Makes the instanced meshes draw all the slots in use
+     */
+    _updateCount()
+    {
+        for (let entry of this._instancedMeshes)
+        {
+            entry.mesh.count = this._slotCount
+            entry.mesh.boundingSphere = null
+        }
+    }
+
+    /**
+     * Writes the matrix of the instance into the instanced meshes. Hidden and removed instances get a zero matrix.
+     * The matrix is relative to the parent of the instanced mesh, so that the instances follow the transform of the model.
+     * @param {Number} index id of the instance
+     */
     _updateInstance(index)
     {
-        let uuids = this._instanceMeshMap.keys()
-        for (let uuid of uuids)
+        this.markDirty()
+        let isShown = this._visibilities[index] && !this._freeSlots.includes(index)
+        for (let entry of this._instancedMeshes)
         {
-            let instancedMesh = this._instanceMeshMap.get(uuid)
-            let modelMatrix = this._modelMatrixMap.get(uuid)
-            let instanceMatrix = new THREE.Matrix4().compose(this._positions[index], this._rotations[index], this._scales[index])
-            instancedMesh.setMatrixAt(index, instanceMatrix.multiply(modelMatrix))
-            instancedMesh.instanceMatrix.needsUpdate = true
+            let instanceMatrix = (isShown) ? new THREE.Matrix4().compose(this._positions[index], this._rotations[index], this._scales[index]) : 
+                new THREE.Matrix4().makeScale(0, 0, 0)
+            entry.mesh.setMatrixAt(index, (isShown) ? instanceMatrix.premultiply(entry.parentInverse).multiply(entry.modelMatrix) : instanceMatrix)
+            entry.mesh.instanceMatrix.needsUpdate = true
+            entry.mesh.boundingSphere = null
         }
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Puts the instanced mesh in place of the mesh in the tree, taking over its parent and its children, and its name, user data
+ * and render settings, so that the materials of the mesh are still targeted by node names and tags and keep their glow and variants
+ * @param {THREE.InstancedMesh} instancedMesh the instanced mesh
+ * @param {THREE.Mesh} mesh the mesh that is replaced
+ */
+function adoptMesh(instancedMesh, mesh)
+{
+    instancedMesh.name = mesh.name
+    instancedMesh.userData = mesh.userData
+    instancedMesh.frustumCulled = mesh.frustumCulled
+    instancedMesh.castShadow = mesh.castShadow
+    instancedMesh.receiveShadow = mesh.receiveShadow
+    instancedMesh.visible = mesh.visible
+    instancedMesh.renderOrder = mesh.renderOrder
+    instancedMesh.parent = mesh.parent
+    mesh.parent.children[mesh.parent.children.indexOf(mesh)] = instancedMesh
+    mesh.parent = null
+    for (let child of mesh.children)
+    {
+        instancedMesh.children.push(child)
+        child.parent = instancedMesh
+    }
+    mesh.children = []
+}
+
+/**
+ * Creates the per instance colors of an instanced mesh, all white so that the colors of the materials are kept
+ * @param {Number} capacity number of instances
+ * @returns {THREE.InstancedBufferAttribute} the instance color attribute
+ */
+function createInstanceColors(capacity) { return new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3).fill(1), 3) }
@@ -0,0 +1,286 @@
+import * as THREE from 'three'
+import { AssetLoader } from './AssetLoader.js'
+import { AssetCache } from './AssetCache.js'
+import { SceneManager } from './core/SceneManager.js'
+import { InputManager } from './InputManager.js'
+import { MeshModel } from './Models.js'
+import { Finish } from './Finish.js'
+import { AmbientLight, DirectLight, PointLight, SpotLight } from './Light.js'
+import { OrbitalCameraManager } from './camera/OrbitalCameraManager.js'
+import { FirstPersonCameraManager } from './camera/FirstPersonCameraManager.js'
+import { StaticCameraManager } from './camera/StaticCameraManager.js'
+import { Misc } from './helpers/misc.js'
+
+/**
+ * Builds a complete scene out of a JSON manifest. The manifest declares the models, textures and envmaps to be
+ * downloaded, the camera, the lights and the post processing settings. Asset paths are resolved against the
+ * assetFolder of the manifest, which itself is resolved against the url of the manifest.
+ */
+export class SceneBuilder
+{
+    /**
+     * @param {String} manifestUrl url of the JSON manifest
+     */
+    constructor(manifestUrl)
+    {
+        this.manifestUrl = new URL(manifestUrl, window.location.href).href
+        this.assetLoader = new AssetLoader()
+    }
+
+    /**
+     * Downloads the manifest and all the assets declared in it, and assembles the scene.
+     * @param {HTMLCanvasElement} canvas HTML canvas element
+     * @param {Function} onProgress optional callback that is called while the assets are loading
+     * @returns {Promise<any>} promise that resolves to an object holding the manifest, the sceneManager, the cameraManager,
+     * the input manager and maps of the models, textures, envmaps and finishes by their names in the manifest
+     */
+    async build(canvas, onProgress)
+    {
+        this.assetLoader.addLoader('Manifest', this.manifestUrl, 'application/json', false)
+        let manifest = (await this.assetLoader.executeAsync()).get('Manifest')
+        let assetMap = await this.loadAssets(manifest, onProgress)
+        let envmaps = this.collect(manifest.envmaps, assetMap)
+        let textures = this.collect(manifest.textures, assetMap)
+        let finishes = new Map()
+        if (manifest.finishes != undefined)
+        {
+            for (let finishJson of manifest.finishes)
+                finishes.set(finishJson.name, Finish.fromJson(finishJson, textures))
+        }
+        let sceneManager = new SceneManager(canvas, manifest.saveDrawBuffer)
+        let input = new InputManager('Input', canvas)
+        sceneManager.register(input)
+        let cameraManager = this.buildCamera(manifest.camera)
+        cameraManager.registerInput(input)
+        sceneManager.register(cameraManager)
+        sceneManager.setActiveCamera(cameraManager.name)
+        if (manifest.lights != undefined)
+        {
+            for (let lightJson of manifest.lights)
+                sceneManager.register(this.buildLight(lightJson))
+        }
+        let models = new Map()
+        if (manifest.models != undefined)
+        {
+            for (let modelJson of manifest.models)
+            {
+                let model = this.buildModel(modelJson, assetMap.get(modelJson.name), envmaps, textures, finishes)
+                sceneManager.register(model)
+                models.set(modelJson.name, model)
+            }
+        }
+        if (manifest.background != undefined)
+            sceneManager.setEnvironmentMap(envmaps.get(manifest.background))
+        if (manifest.postProcessing != undefined)
+            SceneBuilder.applyPostProcessing(sceneManager, manifest.postProcessing)
+        return { manifest: manifest, sceneManager: sceneManager, cameraManager: cameraManager, input: input,
+            models: models, textures: textures, envmaps: envmaps, finishes: finishes }
+    }
+
+    /**
+     * Downloads the models, textures and envmaps declared in the manifest. The loader of each asset is picked by the
+     * extension of its path, or by its optional type which can be a MIME type or an extension. If the manifest declares
+     * a cache quota then the assets are cached in IndexedDB, versioned by the hash of each asset or else by the manifest version.
+     * The optional size of each asset in bytes weights its share of the progress.
+     * @param {any} manifest parsed JSON manifest
+     * @param {Function} onProgress callback that is called while the assets are loading
+     * @returns {Promise<Map>} promise that resolves to the asset map
+     */
+    loadAssets(manifest, onProgress)
+    {
+        let assetFolder = new URL((manifest.assetFolder != undefined) ? manifest.assetFolder : '', this.manifestUrl).href
+        if (manifest.cache != undefined && manifest.cache.quotaInMB != undefined)
+            this.assetLoader.setCache(new AssetCache(manifest.cache.dbName, manifest.cache.quotaInMB * 1024 * 1024))
+        if (manifest.version != undefined)
+            this.assetLoader.setCacheVersion(manifest.version)
+        if (manifest.dracoDecoderPath != undefined)
+            this.assetLoader.setDracoDecoderPath(new URL(manifest.dracoDecoderPath, this.manifestUrl).href)
+        for (let assetJson of this.concat(manifest.models, manifest.textures, manifest.envmaps))
+            this.assetLoader.addLoader(assetJson.name, new URL(assetJson.path, assetFolder).href, assetJson.type, assetJson.hash, assetJson.size)
+        return this.assetLoader.executeAsync(onProgress)
+    }
+
+    /**
+     * Creates the camera manager declared in the manifest
+     * @param {any} cameraJson camera entry of the manifest
+     * @returns {CameraManager} the camera manager
+     */
+    buildCamera(cameraJson)
+    {
+        if (cameraJson == undefined)
+            cameraJson = {}
+        let name = (cameraJson.name != undefined) ? cameraJson.name : 'Camera'
+        let fov = (cameraJson.fov != undefined) ? cameraJson.fov : 50
+        let cameraManager
+        if (cameraJson.type == 'orbital')
+        {
+            let lookAt = (cameraJson.lookAt != undefined) ? Misc.toThreeJSVector(cameraJson.lookAt) : new THREE.Vector3()
+            cameraManager = new OrbitalCameraManager(name, fov, lookAt)
+            if (cameraJson.pitchRange != undefined)
+            {
+                let pitchRange = cameraJson.pitchRange
+                cameraManager.addPitchRestriction(newPosition => { return [newPosition.y >= pitchRange.min && newPosition.y <= pitchRange.max, newPosition] })
+            }
+        }
+        else if (cameraJson.type == 'firstPerson')
+            cameraManager = new FirstPersonCameraManager(name, fov)
+        else
+            cameraManager = new StaticCameraManager(name, fov)
+        if (cameraJson.position != undefined)
+            cameraManager.setPosition(cameraJson.position.x, cameraJson.position.y, cameraJson.position.z)
+        if (cameraJson.rotation != undefined)
+            cameraManager.setRotation(cameraJson.rotation.x, cameraJson.rotation.y, cameraJson.rotation.z)
+        return cameraManager
+    }
+
+    /**
+     * Creates the light declared in the manifest
+     * @param {any} lightJson light entry of the manifest
+     * @returns {SceneObject} the light scene object
+     */
+    buildLight(lightJson)
+    {
+        let color = (lightJson.color != undefined) ? Misc.hexToColor(lightJson.color) : new THREE.Color(1, 1, 1)
+        let intensity = (lightJson.intensity != undefined) ? lightJson.intensity : 1
+        let light
+        if (lightJson.type == 'direct')
+            light = new DirectLight(lightJson.name, color, intensity)
+        else if (lightJson.type == 'point')
+            light = new PointLight(lightJson.name, color, intensity, lightJson.distance)
+        else if (lightJson.type == 'spot')
+            light = new SpotLight(lightJson.name, color, intensity, lightJson.distance, lightJson.angle, lightJson.penumbra)
+        else
+            return new AmbientLight(lightJson.name, color, intensity)
+        if (lightJson.position != undefined)
+            light.setPosition(lightJson.position.x, lightJson.position.y, lightJson.position.z)
+        if (lightJson.lookAt != undefined && light.setLookAt != undefined)
+            light.setLookAt(lightJson.lookAt.x, lightJson.lookAt.y, lightJson.lookAt.z)
+        if (lightJson.castShadow)
+            light.enableShadows(true, true)
+        return light
+    }
+
+    /**
+     * Creates the model declared in the manifest. The optional target of the model entry selects the materials that
+     * receive the texture, the finish or the tiling, see MeshModel.getMaterials. The tiling either holds the repeat, offset
+     * and rotation of the maps, or the swatchSize from which the repeat is derived. The optional variant is the name of the
+     * KHR_materials_variants variant to be selected. The optional animation holds the clip to be played on start, its loop
+     * mode (a value of AnimationLoop) and its speed. The optional glow lists the meshes that glow, each entry holding the
+     * strength of the glow along with the nodes, materials or tags selecting the meshes, e.g. { "strength": 2, "nodes": ["LED*"] }.
+     * @param {any} modelJson model entry of the manifest
+     * @param {any} model model data extracted from a 3D file
+     * @param {Map} envmaps map of envmaps by their names in the manifest
+     * @param {Map} textures map of textures by their names in the manifest
+     * @param {Map} finishes map of finishes by their names in the manifest
+     * @returns {MeshModel} the model scene object
+     */
+    buildModel(modelJson, model, envmaps, textures, finishes)
+    {
+        let meshModel = new MeshModel(modelJson.name, model, modelJson.cullBackFace)
+        if (modelJson.position != undefined)
+            meshModel.setPosition(modelJson.position.x, modelJson.position.y, modelJson.position.z)
+        if (modelJson.rotation != undefined)
+            meshModel.setRotation(modelJson.rotation.x, modelJson.rotation.y, modelJson.rotation.z)
+        if (modelJson.envmap != undefined)
+            meshModel.applyEnvmap(envmaps.get(modelJson.envmap))
+        if (modelJson.variant != undefined)
+            meshModel.selectVariant(modelJson.variant)
+        if (modelJson.texture != undefined)
+            meshModel.applyTexture(textures.get(modelJson.texture), modelJson.target)
+        if (modelJson.finish != undefined)
+            meshModel.applyFinish(finishes.get(modelJson.finish), modelJson.target)
+        if (modelJson.tiling != undefined)
+        {
+            if (modelJson.tiling.swatchSize != undefined)
+                meshModel.setTextureTilingFromSwatchSize(modelJson.tiling.swatchSize, modelJson.target)
+            else
+                meshModel.setTextureTiling(modelJson.tiling, modelJson.target)
+        }
+        if (modelJson.animation != undefined)
+        {
+            if (modelJson.animation.speed != undefined)
+                meshModel.setAnimationSpeed(modelJson.animation.speed)
+            meshModel.playAnimation(modelJson.animation.clip, modelJson.animation.loop)
+        }
+        if (modelJson.glow != undefined)
+        {
+            for (let glowJson of modelJson.glow)
+                meshModel.setGlow(glowJson.strength, glowJson)
+        }
+        if (modelJson.rayCastable)
+            meshModel.enableRayCastingOnTriMesh(true)
+        return meshModel
+    }
+
+    /**
+     * Applies the post processing settings declared in the manifest
+     * @param {SceneManager} sceneManager the SceneManager object
+     * @param {any} settings postProcessing entry of the manifest
+     */
+    static applyPostProcessing(sceneManager, settings)
+    {
+        if (settings.saturation != undefined)
+            sceneManager.setSaturation(settings.saturation)
+        if (settings.contrast != undefined)
+            sceneManager.setContrast(settings.contrast)
+        if (settings.brightness != undefined)
+            sceneManager.setBrightness(settings.brightness)
+        if (settings.sharpness != undefined)
+            sceneManager.setSharpness(settings.sharpness)
+        if (settings.gamma != undefined)
+            sceneManager.setGamma(settings.gamma)
+        if (settings.exposure != undefined)
+            sceneManager.setExposure(settings.exposure)
+        if (settings.fxaa != undefined)
+            sceneManager.enableFXAA(settings.fxaa)
+        if (settings.ssaa != undefined)
+            sceneManager.enableSSAA(settings.ssaa)
+        if (settings.ssao != undefined)
+            sceneManager.enableSSAO(settings.ssao)
+        if (settings.maxPixelRatio != undefined)
+            sceneManager.setMaxPixelRatio(settings.maxPixelRatio)
+        if (settings.dynamicResolution != undefined)
+            sceneManager.enableDynamicResolution(true, settings.dynamicResolution.targetFps, settings.dynamicResolution.minScale)
+        if (settings.bloom != undefined)
+        {
+            if (settings.bloom.intensity != undefined)
+                sceneManager.setBloomIntensity(settings.bloom.intensity)
+            if (settings.bloom.threshold != undefined)
+                sceneManager.setBloomThreshold(settings.bloom.threshold)
+            if (settings.bloom.radius != undefined)
+                sceneManager.setBloomRadius(settings.bloom.radius)
+        }
+        sceneManager.requestRender()
+    }
+
+    /**
+     * Picks the assets of the given manifest entries out of the asset map
+     * @param {Array} entries manifest entries having name and path
+     * @param {Map} assetMap map of the loaded assets
+     * @returns {Map} map of assets by their names in the manifest, in the order of the entries
+     */
+    collect(entries, assetMap)
+    {
+        let assets = new Map()
+        if (entries != undefined)
+        {
+            for (let entry of entries)
+                assets.set(entry.name, assetMap.get(entry.name))
+        }
+        return assets
+    }
+
+    /**
+     * Joins the given arrays of manifest entries, skipping the ones that are not declared
+     * @param  {...Array} entryArrays arrays of manifest entries
+     * @returns {Array} array of all manifest entries
+     */
+    concat(...entryArrays)
+    {
+        let entries = []
+        for (let entryArray of entryArrays)
+            if (entryArray != undefined)
+                entries = entries.concat(entryArray)
+        return entries
+    }
+}
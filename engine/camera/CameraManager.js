@@ -19,6 +19,19 @@ export class CameraManager extends SceneObject
      */
     registerInput(inputManager) {}
 
+    /**
+     * Sets the aspect ratio value in camera. This function needs to be overriden by sub classes
+     * @param {Number} ratio camera aspect ratio
+     */
+    setAspectRatio(ratio) {}
+
+    /**
+     * Called by SceneManager every frame with the size of the canvas. The aspect ratio is set to match it.
+     * @param {Number} width width of the canvas in css pixels
+     * @param {Number} height height of the canvas in css pixels
+     */
+    setViewportSize(width, height) { this.setAspectRatio(width/height) }
+
     /**
      * Returns the threejs camera object stored within
      * @returns {THREE.PerspectiveCamera} threejs camera object
@@ -48,7 +61,9 @@ export class PerspectiveCamera
      */
     constructor(fov)
     {
-        this.camera = new THREE.PerspectiveCamera(fov, window.innerWidth/window.innerHeight, 0.1, 1000)
+        this.viewportWidth = window.innerWidth
+        this.viewportHeight = window.innerHeight
+        this.camera = new THREE.PerspectiveCamera(fov, this.viewportWidth/this.viewportHeight, 0.1, 1000)
         this.camera.rotation.order = 'YXZ'
         this.front = new THREE.Vector3()
         this.right = new THREE.Vector3()
@@ -78,6 +93,18 @@ export class PerspectiveCamera
      */
     getPosition() { return this.camera.position }
 
+    /**
+     * Sets the size of the canvas the camera renders into, which is used as the aspect ratio and as the bounds of the raster space
+     * @param {Number} width width of the canvas in css pixels
+     * @param {Number} height height of the canvas in css pixels
+     */
+    setViewportSize(width, height)
+    {
+        this.viewportWidth = width
+        this.viewportHeight = height
+        this.camera.aspect = width/height
+    }
+
     /**
      * Converts the world coordinate value of a point in raster coordinate and also returns a boolean to indicate
      * whether that raster coordinate is valid or not 
@@ -99,8 +126,8 @@ export class PerspectiveCamera
             return undefined
         if (projectedY < screenBottomBound || projectedY > screenTopBound)
             return undefined
-        let rasterX = (window.innerWidth * (projectedX - screenLeftBound))/(screenRightBound - screenLeftBound)
-        let rasterY = (window.innerHeight * (screenTopBound - projectedY))/(screenTopBound - screenBottomBound)
+        let rasterX = (this.viewportWidth * (projectedX - screenLeftBound))/(screenRightBound - screenLeftBound)
+        let rasterY = (this.viewportHeight * (screenTopBound - projectedY))/(screenTopBound - screenBottomBound)
         return { x: rasterX, y: rasterY }
     }
 
@@ -23,6 +23,12 @@ export class FirstPersonCameraManager extends CameraManager
      */
     registerInput(inputManager) { this.core.registerInput(inputManager) }
 
+    /**
+     * Sets the speed at which the camera walks when the movement keys are pressed
+     * @param {Number} speed speed in world space units per second
+     */
+    setMovementSpeed(speed) { this.core.speed = speed }
+
     /**
      * Sets the position of the camera in world space
      * @param {Number} x x-coordinate in world space
@@ -51,6 +57,13 @@ export class FirstPersonCameraManager extends CameraManager
      */
     setAspectRatio(ratio) { this.core.camera.aspect = ratio }
 
+    /**
+     * Delegates call to FirstPersonCameraManagerCore's setViewportSize
+     * @param {Number} width width of the canvas in css pixels
+     * @param {Number} height height of the canvas in css pixels
+     */
+    setViewportSize(width, height) { this.core.setViewportSize(width, height) }
+
     /**
      * Delegates call to FirstPersonCameraManagerCore's updateMatrices
      */
@@ -102,7 +115,11 @@ class FirstPersonCameraManagerCore extends PerspectiveCamera
     /**
      * @param {Number} fov camera field of view
      */
-    constructor(fov) { super(fov) }
+    constructor(fov) 
+    { 
+        super(fov)
+        this.speed = 6
+    }
 
     /**
      * Used to register inputs
@@ -110,7 +127,7 @@ class FirstPersonCameraManagerCore extends PerspectiveCamera
      */
     registerInput(inputManager)  
     {
-        inputManager.registerKeyEvent((w,s,a,d)=>this.onKeyinput(w,s,a,d))
+        inputManager.registerKeyEvent((keyMap, deltaSeconds)=>this.onKeyinput(keyMap, deltaSeconds))
         inputManager.registerMoveEvent((dx, dy) => this.onMoveEvent(dx, dy))
         inputManager.setCursorSensitivity(0.05) 
     }
@@ -124,12 +141,13 @@ class FirstPersonCameraManagerCore extends PerspectiveCamera
 
     /**
      * Called by InputManager whenever it detects key strokes.
-     * This function moves the camera around based on user input.
+     * This function moves the camera around based on user input, by the distance covered at the movement speed in the delta time.
      * @param {Map} keyMap map consisting of keys that are currently being pressed by user
+     * @param {Number} deltaSeconds time elapsed since the previous frame in seconds
      */
-    onKeyinput(keyMap) 
+    onKeyinput(keyMap, deltaSeconds) 
     {
-        let scale = 0.1
+        let scale = this.speed * deltaSeconds
         let front = new THREE.Vector3()
         this.camera.getWorldDirection(front)
         let right = Maths.cross(front, new THREE.Vector3(0, 1, 0))
@@ -53,6 +53,13 @@ export class OrbitalCameraManager extends CameraManager
      */
     setAspectRatio(ratio) { this.core.camera.aspect = ratio }
 
+    /**
+     * Delegates call to OrbitalCameraManagerCore's setViewportSize
+     * @param {Number} width width of the canvas in css pixels
+     * @param {Number} height height of the canvas in css pixels
+     */
+    setViewportSize(width, height) { this.core.setViewportSize(width, height) }
+
     /**
      * Delegates call to OrbitalCameraManagerCore's updateMatrices
      */
@@ -0,0 +1,135 @@
+/**
+ * Keeps track of which scene objects use each geometry, material and texture so that these GPU resources are
+ * disposed only when the last scene object using them releases them. SceneManager retains the resources of a
+ * scene object when it is added into the scene and releases them when it is unregistered.
+ */
+export const AssetRegistry =
+{
+    ownerMap : new Map(),
+    resourceMap : new Map(),
+
+    /**
+     * Marks the resource as used by the owner. Retaining the same resource more than once by the same owner has no effect.
+     * @param {any} owner the scene object or any other object that uses the resource
+     * @param {THREE.BufferGeometry | THREE.Material | THREE.Texture} resource resource to be retained
+     */
+    retain : function(owner, resource)
+    {
+        if (resource == undefined || resource == null)
+            return
+        let owners = this.resourceMap.get(resource)
+        if (owners == undefined)
+        {
+            owners = new Set()
+            this.resourceMap.set(resource, owners)
+        }
+        owners.add(owner)
+        let resources = this.ownerMap.get(owner)
+        if (resources == undefined)
+        {
+            resources = new Set()
+            this.ownerMap.set(owner, resources)
+        }
+        resources.add(resource)
+    },
+
+    /**
+     * Retains the geometries, materials and textures of the threejs object and all its descendants
+     * @param {any} owner the scene object that uses the resources
+     * @param {THREE.Object3D} threeJsObject threejs object whose resources are to be retained
+     */
+    retainObject3D : function(owner, threeJsObject)
+    {
+        threeJsObject.traverse(obj => {
+            if (obj.geometry != undefined)
+                this.retain(owner, obj.geometry)
+            let materials = (Array.isArray(obj.material)) ? obj.material : [obj.material]
+            for (let material of materials)
+            {
+                if (material != undefined && material != null)
+                {
+                    this.retain(owner, material)
+                    for (let texture of this.getTextures(material))
+                        this.retain(owner, texture)
+                }
+            }
+        })
+    },
+
+    /**
+     * Marks the resource as no longer used by the owner and disposes it if no other owner uses it
+     * @param {any} owner the object that used the resource
+     * @param {THREE.BufferGeometry | THREE.Material | THREE.Texture} resource resource to be released
+     */
+    release : function(owner, resource)
+    {
+        let resources = this.ownerMap.get(owner)
+        if (resources != undefined)
+        {
+            resources.delete(resource)
+            if (resources.size == 0)
+                this.ownerMap.delete(owner)
+        }
+        let owners = this.resourceMap.get(resource)
+        if (owners != undefined)
+        {
+            owners.delete(owner)
+            if (owners.size == 0)
+            {
+                this.resourceMap.delete(resource)
+                resource.dispose()
+            }
+        }
+    },
+
+    /**
+     * Releases all the resources used by the owner
+     * @param {any} owner the object that used the resources
+     */
+    releaseAll : function(owner)
+    {
+        let resources = this.ownerMap.get(owner)
+        if (resources != undefined)
+        {
+            for (let resource of Array.from(resources))
+                this.release(owner, resource)
+        }
+    },
+
+    /**
+     * Returns the number of owners that use the resource
+     * @param {THREE.BufferGeometry | THREE.Material | THREE.Texture} resource the resource
+     * @returns {Number} number of owners
+     */
+    getUserCount : function(resource)
+    {
+        let owners = this.resourceMap.get(resource)
+        return (owners != undefined) ? owners.size : 0
+    },
+
+    /**
+     * Returns the textures referenced by the material, including the textures within shader uniforms
+     * @param {THREE.Material} material threejs material
+     * @returns {Array} array of threejs textures
+     */
+    getTextures : function(material)
+    {
+        let textures = []
+        for (let key of Object.keys(material))
+        {
+            let value = material[key]
+            if (value != null && value.isTexture)
+                textures.push(value)
+        }
+        if (material.uniforms != undefined)
+        {
+            for (let key of Object.keys(material.uniforms))
+            {
+                let value = material.uniforms[key].value
+                if (value != null && value.isTexture)
+                    textures.push(value)
+            }
+        }
+        return textures
+    }
+}
@@ -0,0 +1,137 @@
+/**
+ * Measures the time between the frames of the render loop. SceneManager ticks the clock once per frame and passes it to the
+ * scene objects in onSceneRender. The time can be paused and scaled. In fixed timestep mode the time advances in steps of
+ * equal duration, so that updates are deterministic whatever the frame rate, and the number of steps to be run in the
+ * current frame is given by getStepCount.
+ */
+export class FrameClock
+{
+    /**
+     * @param {Number} maxDeltaInSeconds longest time a single frame may advance the clock, so that long stalls such as
+     * an inactive browser tab do not make the scene jump
+     */
+    constructor(maxDeltaInSeconds)
+    {
+        this.maxDelta = (maxDeltaInSeconds != undefined && maxDeltaInSeconds != null) ? maxDeltaInSeconds : 0.1
+        this.timeScale = 1
+        this.paused = false
+        this.fixedTimestep = 0
+        this.accumulator = 0
+        this.lastTime = null
+        this.realDelta = 0
+        this.delta = 0
+        this.elapsed = 0
+        this.stepCount = 0
+        this.frame = 0
+    }
+
+    /**
+     * Advances the clock to the given time. Called by SceneManager at the start of every frame.
+     * @param {Number} timeInMs current time in milliseconds, e.g. performance.now()
+     */
+    tick(timeInMs)
+    {
+        this.realDelta = (this.lastTime != null) ? Math.min((timeInMs - this.lastTime)/1000, this.maxDelta) : 0
+        this.lastTime = timeInMs
+        this.frame++
+        let scaledDelta = (this.paused) ? 0 : this.realDelta * this.timeScale
+        if (this.fixedTimestep > 0)
+        {
+            this.accumulator += scaledDelta
+            this.stepCount = Math.floor(this.accumulator/this.fixedTimestep)
+            this.accumulator -= this.stepCount * this.fixedTimestep
+            this.delta = this.stepCount * this.fixedTimestep
+        }
+        else
+        {
+            this.stepCount = (this.paused) ? 0 : 1
+            this.delta = scaledDelta
+        }
+        this.elapsed += this.delta
+    }
+
+    /**
+     * Stops the time. The delta time is 0 until the clock is resumed.
+     */
+    pause() { this.paused = true }
+
+    /**
+     * Restarts the time after it was paused
+     */
+    resume() { this.paused = false }
+
+    /**
+     * @returns {Boolean} true if the time is paused
+     */
+    isPaused() { return this.paused }
+
+    /**
+     * Sets how fast the time runs compared with the real time, e.g. 0.5 for slow motion
+     * @param {Number} timeScale the time scale, 1 being the real time
+     */
+    setTimeScale(timeScale) { this.timeScale = timeScale }
+
+    /**
+     * @returns {Number} how fast the time runs compared with the real time
+     */
+    getTimeScale() { return this.timeScale }
+
+    /**
+     * Enables the fixed timestep mode, in which the time advances in steps of the given duration
+     * @param {Number} stepInSeconds duration of a step in seconds, e.g. 1/60. 0 disables the fixed timestep mode.
+     */
+    setFixedTimestep(stepInSeconds)
+    {
+        this.fixedTimestep = stepInSeconds
+        this.accumulator = 0
+    }
+
+    /**
+     * @returns {Number} duration of a step in seconds, 0 if the fixed timestep mode is disabled
+     */
+    getFixedTimestep() { return this.fixedTimestep }
+
+    /**
+     * Returns the scaled time the current frame advances the clock by. In fixed timestep mode this is the duration of all
+     * the steps of the frame.
+     * @returns {Number} delta time in seconds
+     */
+    getDelta() { return this.delta }
+
+    /**
+     * Returns the time elapsed between the previous and the current frame, regardless of the time scale and pausing
+     * @returns {Number} real delta time in seconds
+     */
+    getRealDelta() { return this.realDelta }
+
+    /**
+     * Returns the scaled time elapsed since the clock started
+     * @returns {Number} elapsed time in seconds
+     */
+    getElapsed() { return this.elapsed }
+
+    /**
+     * Returns the number of updates to be run in the current frame. This is always 1 unless the clock is paused or in fixed
+     * timestep mode, in which each update advances the time by getStepDelta.
+     * @returns {Number} number of updates
+     */
+    getStepCount() { return this.stepCount }
+
+    /**
+     * Returns the time each update of the current frame advances by
+     * @returns {Number} duration of a step in seconds in fixed timestep mode, otherwise the delta time
+     */
+    getStepDelta() { return (this.fixedTimestep > 0) ? this.fixedTimestep : this.delta }
+
+    /**
+     * Returns the fraction of a step that is left over once the steps of the current frame are run, e.g. to interpolate
+     * between the last two steps while rendering
+     * @returns {Number} value between 0 and 1, always 0 if the fixed timestep mode is disabled
+     */
+    getStepAlpha() { return (this.fixedTimestep > 0) ? this.accumulator/this.fixedTimestep : 0 }
+
+    /**
+     * @returns {Number} number of frames ticked since the clock started
+     */
+    getFrame() { return this.frame }
+}
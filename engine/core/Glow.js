@@ -0,0 +1,108 @@
+import * as THREE from 'three'
+
+/**
+ * Marks meshes and materials as glowing so that SceneRenderer blooms them, whether or not a light is attached to their
+ * scene object. The strength of the glow is stored as userData.glow of the mesh or the material, so it can also be set in
+ * the modelling tool as a custom property, which glTF exports as extras. The glow of a mesh takes precedence over the glow
+ * of its material.
+ */
+export const Glow =
+{
+    materialMap : new WeakMap(),
+
+    /**
+     * Sets the glow of the material, or of every mesh in the threejs object
+     * @param {THREE.Object3D | THREE.Material} target threejs object, e.g. a lamp shade mesh, or threejs material
+     * @param {Number} strength strength of the glow, 1 being the emissive color of the material, or its color if it has
+     * no emissive color. 0 stops the glow, e.g. of a mesh whose material glows, and null removes the setting.
+     */
+    set : function(target, strength)
+    {
+        if (target.isMaterial != undefined && target.isMaterial)
+            setStrength(target.userData, strength)
+        else
+        {
+            target.traverse(obj => {
+                if (obj.material != undefined && obj.material != null)
+                    setStrength(obj.userData, strength)
+            })
+        }
+    },
+
+    /**
+     * Returns the strength of the glow of the mesh drawn with the material
+     * @param {THREE.Object3D} mesh threejs mesh
+     * @param {THREE.Material} material one of the materials of the mesh
+     * @returns {Number} strength of the glow, 0 if the mesh does not glow
+     */
+    getStrength : function(mesh, material)
+    {
+        if (typeof mesh.userData.glow == 'number')
+            return mesh.userData.glow
+        if (typeof material.userData.glow == 'number')
+            return material.userData.glow
+        return 0
+    },
+
+    /**
+     * Returns the unlit material the mesh is drawn with while the glow is rendered. It follows the current emissive color
+     * and map of the material, or its color and map if the material has no emissive color, scaled by the strength.
+     * The material is disposed along with the original material.
+     * @param {THREE.Material} material original material of the mesh
+     * @param {Number} strength strength of the glow
+     * @returns {THREE.MeshBasicMaterial} the glow material
+     */
+    getMaterial : function(material, strength)
+    {
+        let glowMaterials = this.materialMap.get(material)
+        if (glowMaterials == undefined)
+        {
+            glowMaterials = new Map()
+            this.materialMap.set(material, glowMaterials)
+            material.addEventListener('dispose', () => {
+                for (let glowMaterial of glowMaterials.values())
+                    glowMaterial.dispose()
+                this.materialMap.delete(material)
+            })
+        }
+        let glowMaterial = glowMaterials.get(strength)
+        if (glowMaterial == undefined)
+        {
+            glowMaterial = new THREE.MeshBasicMaterial()
+            glowMaterials.set(strength, glowMaterial)
+        }
+        let usesEmissive = material.emissive != undefined && (material.emissiveMap != null || material.emissive.getHex() != 0)
+        if (usesEmissive)
+            glowMaterial.color.copy(material.emissive).multiplyScalar(material.emissiveIntensity * strength)
+        else if (material.color != undefined)
+            glowMaterial.color.copy(material.color).multiplyScalar(strength)
+        else
+            glowMaterial.color.setScalar(strength)
+        let map = (usesEmissive) ? material.emissiveMap : material.map
+        if (map == undefined)
+            map = null
+        if (glowMaterial.map != map || glowMaterial.alphaTest != material.alphaTest)
+        {
+            glowMaterial.map = map
+            glowMaterial.alphaTest = material.alphaTest
+            glowMaterial.needsUpdate = true
+        }
+        glowMaterial.side = material.side
+        glowMaterial.transparent = material.transparent
+        glowMaterial.opacity = material.opacity
+        return glowMaterial
+    }
+}
+
+/**
+ * Stores the strength of the glow in the user data, or removes it if the strength is not given
+ * @param {any} userData userData of a threejs object or material
+ * @param {Number} strength strength of the glow
+ */
+function setStrength(userData, strength)
+{
+    if (strength != undefined && strength != null)
+        userData.glow = Math.max(strength, 0)
+    else
+        delete userData.glow
+}
@@ -0,0 +1,114 @@
+import * as THREE from 'three'
+
+const WHITE_TEXTURE = new THREE.DataTexture(new Uint8Array([255, 255, 255, 255]), 1, 1)
+WHITE_TEXTURE.needsUpdate = true
+
+/**
+ * Cross-fades materials from their previous map and color to the current ones. While a transition runs, a shader uniform
+ * holding the previous map and color is injected into the material, and SceneManager advances the transition every frame.
+ */
+export const MaterialTransitions =
+{
+    transitionMap : new Map(),
+
+    /**
+     * Fades the material from the previous map and color to its current map and color. The material should already hold
+     * the new map and color when this function is called. A running transition of the material is finished first.
+     * Materials without map or color, and durations that are not positive, change at once.
+     * @param {THREE.Material} material threejs material that has been changed
+     * @param {THREE.Texture} previousMap map of the material before the change, may be null
+     * @param {THREE.Color} previousColor color of the material before the change
+     * @param {Number} durationInMs duration of the transition in milliseconds
+     * @returns {Promise} promise that resolves once the transition is finished
+     */
+    crossFade : function(material, previousMap, previousColor, durationInMs)
+    {
+        this.finish(material)
+        if (durationInMs == undefined || durationInMs == null || durationInMs <= 0 || !('map' in material) || material.color == undefined)
+            return Promise.resolve()
+        let transition = {
+            ownOnBeforeCompile: (material.hasOwnProperty('onBeforeCompile')) ? material.onBeforeCompile : null,
+            ownCacheKey: (material.hasOwnProperty('customProgramCacheKey')) ? material.customProgramCacheKey : null,
+            usesPlaceholder: material.map == null,
+            startTime: performance.now(),
+            durationInMs: durationInMs,
+            uniforms: {
+                fadeMap: { value: (previousMap != undefined && previousMap != null) ? previousMap : WHITE_TEXTURE },
+                fadeColor: { value: (previousColor != undefined && previousColor != null) ? previousColor.clone() : material.color.clone() },
+                fadeProgress: { value: 0 }
+            }
+        }
+        if (transition.usesPlaceholder)
+            material.map = WHITE_TEXTURE
+        let onBeforeCompile = material.onBeforeCompile
+        let customProgramCacheKey = material.customProgramCacheKey
+        material.onBeforeCompile = (shader, renderer) => {
+            onBeforeCompile.call(material, shader, renderer)
+            Object.assign(shader.uniforms, transition.uniforms)
+            shader.fragmentShader = 'uniform sampler2D fadeMap;\nuniform vec3 fadeColor;\nuniform float fadeProgress;\n' +
+                shader.fragmentShader.replace('#include <map_fragment>',
+                    '#include <map_fragment>\n' +
+                    '#ifdef USE_MAP\n' +
+                    '    diffuseColor = mix(vec4(fadeColor, opacity) * texture2D(fadeMap, vMapUv), diffuseColor, fadeProgress);\n' +
+                    '#endif\n')
+        }
+        material.customProgramCacheKey = () => customProgramCacheKey.call(material) + '-crossfade'
+        material.needsUpdate = true
+        return new Promise(resolve => {
+            transition.resolve = resolve
+            this.transitionMap.set(material, transition)
+        })
+    },
+
+    /**
+     * Jumps to the end of the transition of the material and removes the injected shader code
+     * @param {THREE.Material} material threejs material
+     */
+    finish : function(material)
+    {
+        let transition = this.transitionMap.get(material)
+        if (transition == undefined)
+            return
+        this.transitionMap.delete(material)
+        if (transition.ownOnBeforeCompile != null)
+            material.onBeforeCompile = transition.ownOnBeforeCompile
+        else
+            delete material.onBeforeCompile
+        if (transition.ownCacheKey != null)
+            material.customProgramCacheKey = transition.ownCacheKey
+        else
+            delete material.customProgramCacheKey
+        if (transition.usesPlaceholder && material.map == WHITE_TEXTURE)
+            material.map = null
+        material.needsUpdate = true
+        transition.resolve()
+    },
+
+    /**
+     * Advances all the running transitions. Called by SceneManager every frame.
+     */
+    update : function()
+    {
+        let now = performance.now()
+        for (let [material, transition] of Array.from(this.transitionMap))
+        {
+            let progress = Math.min((now - transition.startTime)/transition.durationInMs, 1)
+            transition.uniforms.fadeProgress.value = progress
+            if (progress >= 1)
+                this.finish(material)
+        }
+    },
+
+    /**
+     * Checks if the texture is the white texture that stands in for a missing map while a material is being faded
+     * @param {THREE.Texture} texture threejs texture
+     * @returns {Boolean} true if the texture is the placeholder
+     */
+    isPlaceholder : function(texture) { return texture == WHITE_TEXTURE },
+
+    /**
+     * Checks if any transition is running
+     * @returns {Boolean} true if at least one material is being faded
+     */
+    isActive : function() { return this.transitionMap.size > 0 }
+}
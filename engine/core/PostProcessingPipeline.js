@@ -0,0 +1,175 @@
+/**
+ * Names of the passes SceneRenderer puts into the post processing pipeline, in their default order
+ */
+export const PostProcessingPass =
+{
+    PIXEL_MERGER : 'pixelMerger',
+    BLOOM : 'bloom',
+    SATURATION : 'saturation',
+    CONTRAST : 'contrast',
+    BRIGHTNESS : 'brightness',
+    SHARPNESS : 'sharpness',
+    FXAA : 'fxaa',
+    COLOR_BALANCE : 'colorBalance',
+    GAMMA : 'gamma'
+}
+
+/**
+ * Ordered list of named passes run by an effect composer. Passes can be enabled, disabled, reordered, added and removed
+ * by their names. Only the enabled passes are kept in the composer, so a disabled pass is neither rendered nor resized.
+ * The passes of SceneRenderer listed in PostProcessingPass can be disabled and reordered but not removed.
+ */
+export class PostProcessingPipeline
+{
+    /**
+     * @param {EffectComposer} composer the effect composer that runs the passes
+     */
+    constructor(composer)
+    {
+        this.composer = composer
+        this.entries = []
+    }
+
+    /**
+     * Adds the pass to the pipeline, enabled
+     * @param {String} name unique name of the pass
+     * @param {Pass} pass the pass, e.g. a subclass of ShaderPass whose input texture uniform is filled by the previous pass
+     * @param {String} beforeName optional name of the pass before which the pass is inserted. By default the pass is added at the end.
+     */
+    add(name, pass, beforeName)
+    {
+        if (this.has(name))
+            throw new Error('Post processing pass '+name+' already exists')
+        if (pass == undefined || pass == null || !pass.isPass)
+            throw new Error('Post processing pass '+name+' is not a pass')
+        this.entries.splice(this.getInsertIndex(beforeName), 0, { name: name, pass: pass, enabled: true })
+        this.updateComposer()
+    }
+
+    /**
+     * Removes the pass from the pipeline. The pass is not disposed.
+     * @param {String} name name of the pass
+     * @returns {Pass} the removed pass
+     */
+    remove(name)
+    {
+        if (Object.values(PostProcessingPass).includes(name))
+            throw new Error('Post processing pass '+name+' is built in and can only be disabled')
+        let entry = this.getEntry(name)
+        this.entries.splice(this.entries.indexOf(entry), 1)
+        this.updateComposer()
+        return entry.pass
+    }
+
+    /**
+     * Puts another pass in place of the named one, keeping its position and whether it is enabled
+     * @param {String} name name of the pass
+     * @param {Pass} pass the new pass
+     */
+    replace(name, pass)
+    {
+        this.getEntry(name).pass = pass
+        this.updateComposer()
+    }
+
+    /**
+     * Moves the pass to another position in the pipeline
+     * @param {String} name name of the pass
+     * @param {String} beforeName optional name of the pass before which the pass is moved. By default the pass is moved to the end.
+     */
+    move(name, beforeName)
+    {
+        let entry = this.getEntry(name)
+        let beforeEntry = (beforeName != undefined && beforeName != null) ? this.getEntry(beforeName) : null
+        if (entry == beforeEntry)
+            return
+        this.entries.splice(this.entries.indexOf(entry), 1)
+        this.entries.splice((beforeEntry != null) ? this.entries.indexOf(beforeEntry) : this.entries.length, 0, entry)
+        this.updateComposer()
+    }
+
+    /**
+     * Enables or disables the pass
+     * @param {String} name name of the pass
+     * @param {Boolean} enable if true then the pass is run, otherwise it is skipped
+     */
+    enable(name, enable)
+    {
+        let entry = this.getEntry(name)
+        if (entry.enabled != enable)
+        {
+            entry.enabled = enable
+            this.updateComposer()
+        }
+    }
+
+    /**
+     * @param {String} name name of the pass
+     * @returns {Boolean} true if the pass exists and is enabled
+     */
+    isEnabled(name)
+    {
+        let entry = this.entries.find(entry => entry.name == name)
+        return entry != undefined && entry.enabled
+    }
+
+    /**
+     * @param {String} name name of the pass
+     * @returns {Boolean} true if the pipeline has the pass
+     */
+    has(name) { return this.entries.some(entry => entry.name == name) }
+
+    /**
+     * @param {String} name name of the pass
+     * @returns {Pass} the pass, or null if there is no pass of that name
+     */
+    getPass(name)
+    {
+        let entry = this.entries.find(entry => entry.name == name)
+        return (entry != undefined) ? entry.pass : null
+    }
+
+    /**
+     * @returns {Array} names of all the passes, enabled or not, in the order they are run
+     */
+    getNames() { return this.entries.map(entry => entry.name) }
+
+    /**
+     * Returns the entry of the named pass
+     * @param {String} name name of the pass
+     * @returns {any} entry holding the name, the pass and whether it is enabled
+     */
+    getEntry(name)
+    {
+        let entry = this.entries.find(entry => entry.name == name)
+        if (entry == undefined)
+            throw new Error('No post processing pass named '+name)
+        return entry
+    }
+
+    /**
+     * Returns the index in the entries at which a pass placed before the named pass is inserted
+     * @param {String} beforeName name of the pass, or undefined for the end of the pipeline
+     * @returns {Number} index in the entries
+     */
+    getInsertIndex(beforeName)
+    {
+        if (beforeName == undefined || beforeName == null)
+            return this.entries.length
+        return this.entries.indexOf(this.getEntry(beforeName))
+    }
+
+    /**
+     * Puts the enabled passes into the composer in the order of the pipeline. The passes new to the composer are sized by it.
+     */
+    updateComposer()
+    {
+        for (let pass of this.composer.passes.slice())
+            this.composer.removePass(pass)
+        for (let entry of this.entries)
+        {
+            if (entry.enabled)
+                this.composer.addPass(entry.pass)
+        }
+    }
+}
@@ -0,0 +1,103 @@
+const LOWER_FPS_RATIO = 0.9
+const UPPER_FPS_RATIO = 0.97
+const FRAME_TIME_SMOOTHING = 0.1
+const LOWER_DELAY_IN_SECONDS = 0.5
+const RAISE_DELAY_IN_SECONDS = 2
+const MAX_RAISE_DELAY_IN_SECONDS = 30
+
+/**
+ * Picks the scale of the internal render resolution that holds the target frame rate. The scale is lowered once the frame
+ * rate has stayed below 90% of the target for half a second, and raised once it has stayed above 97% of the target for a
+ * few seconds. The frame rate between these bounds changes nothing, so the scale does not flip back and forth. A raise that
+ * is soon followed by a lower doubles the time to wait before the next raise.
+ */
+export class ResolutionScaler
+{
+    /**
+     * @param {Number} targetFps frame rate to be held, by default 60
+     * @param {Number} minScale lowest scale of the render resolution, by default 0.5
+     * @param {Number} step amount the scale is lowered or raised by at a time, by default 0.1
+     */
+    constructor(targetFps, minScale, step)
+    {
+        this.targetFps = (targetFps != undefined && targetFps != null) ? targetFps : 60
+        this.minScale = (minScale != undefined && minScale != null) ? minScale : 0.5
+        this.step = (step != undefined && step != null) ? step : 0.1
+        this.scale = 1
+        this.averageFrameTime = 0
+        this.slowTime = 0
+        this.fastTime = 0
+        this.timeSinceRaise = Infinity
+        this.raiseDelay = RAISE_DELAY_IN_SECONDS
+    }
+
+    /**
+     * Measures the time of the frame that has just been rendered and adjusts the scale if needed
+     * @param {Number} frameTimeInSeconds time between the previous and the current frame in seconds
+     * @returns {Boolean} true if the scale has changed
+     */
+    update(frameTimeInSeconds)
+    {
+        if (frameTimeInSeconds <= 0)
+            return false
+        this.averageFrameTime = (this.averageFrameTime > 0) ?
+            this.averageFrameTime + (frameTimeInSeconds - this.averageFrameTime) * FRAME_TIME_SMOOTHING : frameTimeInSeconds
+        this.timeSinceRaise += frameTimeInSeconds
+        let fps = 1/this.averageFrameTime
+        this.slowTime = (fps < this.targetFps * LOWER_FPS_RATIO) ? this.slowTime + frameTimeInSeconds : 0
+        this.fastTime = (fps >= this.targetFps * UPPER_FPS_RATIO) ? this.fastTime + frameTimeInSeconds : 0
+        if (this.slowTime >= LOWER_DELAY_IN_SECONDS && this.scale > this.minScale)
+        {
+            if (this.timeSinceRaise < this.raiseDelay)
+                this.raiseDelay = Math.min(this.raiseDelay * 2, MAX_RAISE_DELAY_IN_SECONDS)
+            this.timeSinceRaise = Infinity
+            this.setScale(this.scale - this.step)
+            return true
+        }
+        if (this.fastTime >= this.raiseDelay && this.scale < 1)
+        {
+            this.setScale(this.scale + this.step)
+            this.timeSinceRaise = 0
+            return true
+        }
+        return false
+    }
+
+    /**
+     * Sets the scale and starts measuring the frame rate again. The scale is rounded to thousandths, so that repeated steps
+     * land exactly on the bounds.
+     * @param {Number} scale scale of the render resolution, clamped between the lowest scale and 1
+     */
+    setScale(scale)
+    {
+        this.scale = Math.min(Math.max(Math.round(scale * 1000)/1000, this.minScale), 1)
+        this.averageFrameTime = 0
+        this.slowTime = 0
+        this.fastTime = 0
+    }
+
+    /**
+     * @returns {Number} scale of the render resolution between the lowest scale and 1
+     */
+    getScale() { return this.scale }
+
+    /**
+     * Sets the frame rate to be held
+     * @param {Number} targetFps frame rate in frames per second
+     */
+    setTargetFps(targetFps)
+    {
+        this.targetFps = targetFps
+        this.reset()
+    }
+
+    /**
+     * Goes back to the full resolution and forgets the measured frame rate
+     */
+    reset()
+    {
+        this.setScale(1)
+        this.timeSinceRaise = Infinity
+        this.raiseDelay = RAISE_DELAY_IN_SECONDS
+    }
+}
@@ -0,0 +1,118 @@
+import * as THREE from 'three'
+import { GLTFExporter } from '../../node_modules/three/examples/jsm/exporters/GLTFExporter.js'
+import { MaterialTransitions } from './MaterialTransitions.js'
+import { Misc } from '../helpers/misc.js'
+
+/**
+ * Writes threejs objects, with their current materials, textures, colors and transforms, to binary glTF. Engine-only
+ * helpers are left out: cameras, light targets, lens flares, camera and light helpers, and any object whose userData has isHelper set.
+ * Lights are left out as well unless asked for. Instanced meshes are written as one mesh per visible instance.
+ */
+export const SceneExporter =
+{
+    /**
+     * Exports the threejs objects to binary glTF. The objects are not changed, except that running material transitions
+     * are finished so that the final textures and colors are written.
+     * @param {Array} threeJsObjects array of threejs objects to be exported as the nodes of the glTF scene
+     * @param {any} options optional settings: includeLights, if true then the lights are exported too
+     * @returns {Promise} promise that resolves to a Blob holding the GLB file
+     */
+    exportGLB : async function(threeJsObjects, options)
+    {
+        let includeLights = options != undefined && options != null && options.includeLights == true
+        let lightTargets = new Set()
+        for (let threeJsObject of threeJsObjects)
+        {
+            threeJsObject.updateMatrixWorld(true)
+            Misc.postOrderTraversal(threeJsObject, object => {
+                if (object.isLight && object.target != undefined)
+                    lightTargets.add(object.target)
+                let materials = (Array.isArray(object.material)) ? object.material : [object.material]
+                for (let material of materials)
+                {
+                    if (material != undefined && material != null)
+                        MaterialTransitions.finish(material)
+                }
+            })
+        }
+        let root = new THREE.Scene()
+        for (let threeJsObject of threeJsObjects)
+        {
+            let copy = copyForExport(threeJsObject, null, lightTargets, includeLights)
+            if (copy != null)
+                root.add(copy)
+        }
+        let glb = await new GLTFExporter().parseAsync(root, { binary: true, onlyVisible: true })
+        return new Blob([glb], { type: 'model/gltf-binary' })
+    },
+
+    /**
+     * Checks if the threejs object is an engine-only helper that is never exported
+     * @param {THREE.Object3D} threeJsObject threejs object
+     * @returns {Boolean} true if the object is a helper
+     */
+    isHelper : function(threeJsObject)
+    {
+        return threeJsObject.userData.isHelper == true || threeJsObject.type.endsWith('Helper') || threeJsObject.isCamera == true || 
+            threeJsObject.isLensflare == true
+    }
+}
+
+/**
+ * Copies the threejs object and its descendants without the helpers. Geometries and materials are shared with the original.
+ * @param {THREE.Object3D} object threejs object
+ * @param {THREE.Object3D} parent the object whose children are being copied, null for the exported objects themselves
+ * @param {Set} lightTargets targets of the lights, which are helpers too
+ * @param {Boolean} includeLights if false then the lights are left out
+ * @returns {THREE.Object3D} the copy, or null if the object is left out
+ */
+function copyForExport(object, parent, lightTargets, includeLights)
+{
+    if (SceneExporter.isHelper(object) || lightTargets.has(object) || (object.isLight && !includeLights))
+        return null
+    let copy = (object.isInstancedMesh) ? expandInstances(object, parent) : object.clone(false)
+    if (parent == null)
+        object.matrixWorld.decompose(copy.position, copy.quaternion, copy.scale)
+    for (let child of object.children)
+    {
+        let childCopy = copyForExport(child, object, lightTargets, includeLights)
+        if (childCopy != null)
+            copy.add(childCopy)
+    }
+    return copy
+}
+
+/**
+ * Turns the instanced mesh into a group holding a mesh for every visible instance, placed where the instance is drawn.
+ * The group is placed relative to the parent that is being copied, which is not always the parent of the instanced mesh.
+ * Instance colors are baked into copies of the material.
+ * @param {THREE.InstancedMesh} instancedMesh threejs instanced mesh
+ * @param {THREE.Object3D} parent the object under which the group is placed, null if there is none
+ * @returns {THREE.Group} the group of meshes
+ */
+function expandInstances(instancedMesh, parent)
+{
+    let group = new THREE.Group()
+    group.name = instancedMesh.name
+    let relativeMatrix = (parent != null) ? parent.matrixWorld.clone().invert() : new THREE.Matrix4()
+    relativeMatrix.multiply(instancedMesh.matrixWorld).decompose(group.position, group.quaternion, group.scale)
+    let instanceMatrix = new THREE.Matrix4()
+    let color = new THREE.Color()
+    for (let i=0; i<instancedMesh.count; i++)
+    {
+        instancedMesh.getMatrixAt(i, instanceMatrix)
+        if (instanceMatrix.determinant() == 0)
+            continue
+        let material = instancedMesh.material
+        if (instancedMesh.instanceColor != null && material.color != undefined)
+        {
+            instancedMesh.getColorAt(i, color)
+            material = material.clone()
+            material.color.multiply(color)
+        }
+        let mesh = new THREE.Mesh(instancedMesh.geometry, material)
+        instanceMatrix.decompose(mesh.position, mesh.quaternion, mesh.scale)
+        group.add(mesh)
+    }
+    return group
+}
@@ -1,7 +1,13 @@
 import * as THREE from 'three'
 import { RayCast } from './RayCast.js'
 import { SceneRenderer } from './SceneRenderer.js'
+import { AssetRegistry } from './AssetRegistry.js'
+import { MaterialTransitions } from './MaterialTransitions.js'
+import { FrameClock } from './FrameClock.js'
+import { SceneExporter } from './SceneExporter.js'
+import { Glow } from './Glow.js'
 import { Maths } from '../helpers/maths.js'
+import { Misc } from '../helpers/misc.js'
 
 /**
  * Parent class for all actors, camera managers and any object that appears as part of the scene
@@ -11,7 +17,11 @@ export class SceneObject
     /**
      * @param {String} name name of the object which is used in sending or receiving message
      */
-    constructor(name) { this.name = name }
+    constructor(name) 
+    { 
+        this.name = name
+        this.dirty = false
+    }
 
     /**
      * Called by SceneManager when there is a message for this object posted by any other object registered in SceneManager.
@@ -30,8 +40,15 @@ export class SceneObject
     /**
      * Called by SceneManager every frame.
      * @param {SceneManager} sceneManager the SceneManager object
+     * @param {FrameClock} clock the clock of the render loop holding the delta and elapsed time
      */
-    onSceneRender(sceneManager) {}
+    onSceneRender(sceneManager, clock) {}
+
+    /**
+     * Called by SceneManager every frame before rendering, for advancing the animations of the object.
+     * @param {Number} deltaSeconds time elapsed since the previous frame in seconds
+     */
+    updateAnimationFrame(deltaSeconds) {}
 
     /**
      * Called by SceneManager as soon as the object gets unregistered in SceneManager.
@@ -45,6 +62,28 @@ export class SceneObject
      */
     isReady() { return true }
 
+    /**
+     * Marks the object as changed, so that a new frame is rendered when SceneManager renders on demand.
+     */
+    markDirty() { this.dirty = true }
+
+    /**
+     * Called by SceneManager every frame to know if the object has changed since the previous frame. The object is no longer dirty afterwards.
+     * @returns {Boolean} true if the object was marked dirty
+     */
+    consumeDirty()
+    {
+        let dirty = this.dirty
+        this.dirty = false
+        return dirty
+    }
+
+    /**
+     * Used for notifying the SceneManager if this object changes on its own every frame, e.g. while an animation is playing.
+     * @returns {Boolean}
+     */
+    isAnimating() { return false }
+
     /**
      * Returns the list of drawable threejs meshes
      * @returns {Array} array of threejs mesh objects
@@ -120,11 +159,22 @@ export class SceneObjectGroup extends SceneObject
     /**
      * Called by SceneManager every frame.
      * @param {SceneManager} sceneManager the SceneManager object
+     * @param {FrameClock} clock the clock of the render loop holding the delta and elapsed time
      */
-    onSceneRender(sceneManager) 
+    onSceneRender(sceneManager, clock) 
     {
         for (let sceneObject of this.sceneObjects)
-            sceneObject.onSceneRender(sceneManager) 
+            sceneObject.onSceneRender(sceneManager, clock) 
+    }
+
+    /**
+     * Called by SceneManager every frame before rendering, for advancing the animations of the object.
+     * @param {Number} deltaSeconds time elapsed since the previous frame in seconds
+     */
+    updateAnimationFrame(deltaSeconds) 
+    {
+        for (let sceneObject of this.sceneObjects)
+            sceneObject.updateAnimationFrame(deltaSeconds) 
     }
 
     /**
@@ -149,6 +199,24 @@ export class SceneObjectGroup extends SceneObject
         return ready 
     }
 
+    /**
+     * Called by SceneManager every frame to know if the group or any object in it has changed since the previous frame.
+     * @returns {Boolean} true if the group or any object in it was marked dirty
+     */
+    consumeDirty()
+    {
+        let dirty = super.consumeDirty()
+        for (let sceneObject of this.sceneObjects)
+            dirty = sceneObject.consumeDirty() || dirty
+        return dirty
+    }
+
+    /**
+     * Used for notifying the SceneManager if any object in the group changes on its own every frame.
+     * @returns {Boolean}
+     */
+    isAnimating() { return this.sceneObjects.some(sceneObject => sceneObject.isAnimating()) }
+
     /**
      * Returns the list of drawable threejs meshes
      * @returns {Array} array of threejs mesh objects
@@ -175,17 +243,33 @@ export class SceneObjectGroup extends SceneObject
 export class SceneManager
 {
     /**
-     * @param {HTMLCanvasElement} canvas HTML canvas element
+     * @param {HTMLCanvasElement} canvas HTML canvas element. Its size is set by the page layout, e.g. through css, and the
+     * scene is rendered at that size, so the canvas does not have to fill the browser window.
      * @param {Boolean} saveDrawBuffer if true then the contents of the read buffer wont be deleted after displaying
      */
     constructor(canvas, saveDrawBuffer)
     {
+        this.canvas = canvas
         this.raycaster = new RayCast()
         this.activeCameraManager = null
         this.sceneObjectMap = new Map()
         this.inactiveObjNameMap = new Map()
         this.messageMap = new Map()
         this.sceneRenderer = new SceneRenderer(canvas, saveDrawBuffer)
+        this.clock = new FrameClock()
+        this.renderOnDemand = false
+        this.renderRequested = true
+        this.maxRefinementLevel = 0
+        this.refinementLevel = 0
+        this.renderedLastFrame = false
+        this.lastCameraMatrix = new THREE.Matrix4()
+        this.lastProjectionMatrix = new THREE.Matrix4()
+        for (let eventName of ['pointerdown', 'pointermove', 'wheel'])
+            canvas.addEventListener(eventName, ()=>this.requestRender(), { passive: true })
+        for (let eventName of ['pointerup', 'keydown', 'keyup'])
+            window.addEventListener(eventName, ()=>this.requestRender(), { passive: true })
+        this.resizeObserver = new ResizeObserver(entries=>this.onCanvasResize(entries[entries.length - 1].contentRect))
+        this.resizeObserver.observe(canvas)
         this.renderLoop()
     }
 
@@ -209,6 +293,7 @@ export class SceneManager
 
     /**
      * Unegisters the SceneObject into SceneManager.
+     * The geometries, materials and textures of the object are disposed unless they are still used by another scene object.
      * @param {String} name name of the sceneObject that is registered in the scene manager.
      */
     unregister(name)
@@ -218,7 +303,9 @@ export class SceneManager
         {
             this.removeFromScene(sceneObject)
             sceneObject.onSceneEnd(this)
+            AssetRegistry.releaseAll(sceneObject)
             this.sceneObjectMap.delete(name)
+            this.inactiveObjNameMap.delete(name)
         }
     }
 
@@ -251,20 +338,41 @@ export class SceneManager
      */
     worldToRaster(worldPosition) { return this.activeCameraManager.worldToRaster(worldPosition) }
 
+    /**
+     * Converts the position of a pointer event into raster coordinate, which is relative to the top left corner of the canvas
+     * @param {Number} clientX x-coordinate of the pointer relative to the browser window, e.g. event.clientX
+     * @param {Number} clientY y-coordinate of the pointer relative to the browser window, e.g. event.clientY
+     * @returns {THREE.Vector2} raster coordinate of the pointer
+     */
+    clientToRaster(clientX, clientY) { return Misc.clientToElement(this.canvas, clientX, clientY) }
+
+    /**
+     * Returns the position of the top left corner of the canvas in the page, which added to a raster coordinate gives the
+     * position in the page, e.g. for placing html elements over the canvas
+     * @returns {THREE.Vector2} position of the canvas in css pixels relative to the top left corner of the page
+     */
+    getCanvasPosition()
+    {
+        let rect = this.canvas.getBoundingClientRect()
+        return new THREE.Vector2(rect.left + window.scrollX, rect.top + window.scrollY)
+    }
+
     /**
      * Returns the data of all the objects hit by the ray. The data will be in this format:
      * { distance, point, face, faceIndex, object }
-     * @param {THREE.Vector2} rasterCoord screen position from where the ray will be shot into the scene
+     * @param {THREE.Vector2} rasterCoord position relative to the top left corner of the canvas from where the ray will be
+     * shot into the scene, e.g. the one passed to the click callbacks of InputManager or returned by clientToRaster
      * @param {Boolean} outlineNearest outlines the nearest hit object
      * @returns {Array} array of hit info data
      */
     shootRayFromCamera(rasterCoord, outlineNearest)
     {
-        if (rasterCoord != undefined && rasterCoord.x >= 0 && rasterCoord.x < window.innerWidth 
-            && rasterCoord.y >= 0 && rasterCoord.y < window.innerHeight)
+        let size = this.sceneRenderer.getSize()
+        if (rasterCoord != undefined && rasterCoord.x >= 0 && rasterCoord.x < size.x 
+            && rasterCoord.y >= 0 && rasterCoord.y < size.y)
         {   
-            let ndcX = (rasterCoord.x / window.innerWidth) *  2 - 1
-            let ndcY = -(rasterCoord.y / window.innerHeight) *  2 + 1
+            let ndcX = (rasterCoord.x / size.x) *  2 - 1
+            let ndcY = -(rasterCoord.y / size.y) *  2 + 1
             let hitPointData = this.raycaster.raycastFromCamera({ x: ndcX, y: ndcY }, this.activeCameraManager)
             if (outlineNearest != undefined && outlineNearest != null && outlineNearest && hitPointData.length > 0)
                 this.sceneRenderer.outlineObjects([hitPointData[0].object], this.activeCameraManager.getCamera()) 
@@ -286,6 +394,8 @@ export class SceneManager
             this.activeCameraManager = cameraManager
             this.activeCameraManager.onActive(this)
             this.sceneRenderer.setup(this.activeCameraManager.getCamera())
+            this.refinementLevel = 0
+            this.requestRender()
         }
     }
 
@@ -373,24 +483,190 @@ export class SceneManager
 
     showStats(htmlElement) { this.sceneRenderer.showStats(htmlElement) }
 
+    /**
+     * Makes the meshes of the threejs object, or the meshes using the material, glow with the given strength. Only the glowing
+     * meshes are bloomed, and the bloom is skipped while none glows.
+     * @param {THREE.Object3D | THREE.Material} target threejs object, e.g. a mesh picked by shootRayFromCamera, or threejs material
+     * @param {Number} strength strength of the glow, see Glow.set. 0 stops the glow and null removes the setting.
+     */
+    setGlow(target, strength)
+    {
+        Glow.set(target, strength)
+        this.requestRender()
+    }
+
+    /**
+     * Returns the post processing pipeline, through which the passes applied on the rendered scene can be enabled, disabled,
+     * reordered, or added by their names, e.g. a custom ShaderPass inserted before PostProcessingPass.GAMMA
+     * @returns {PostProcessingPipeline} the post processing pipeline
+     */
+    getPostProcessing() { return this.sceneRenderer.getPostProcessing() }
+
+    /**
+     * Caps the device pixel ratio the scene is rendered at, so that high density screens do not render more pixels than needed
+     * @param {Number} maxPixelRatio highest number of device pixels rendered per css pixel, by default 2
+     */
+    setMaxPixelRatio(maxPixelRatio) { this.sceneRenderer.setMaxPixelRatio(maxPixelRatio) }
+
+    /**
+     * Enables the dynamic resolution, which lowers the resolution the scene is rendered at whenever the frame rate drops below
+     * the target, and raises it again once the target is held. The canvas keeps its full resolution.
+     * @param {Boolean} enable if true then the resolution follows the frame rate, otherwise the scene is rendered at the full resolution
+     * @param {Number} targetFps frame rate to be held in frames per second, by default 60
+     * @param {Number} minScale lowest scale of the resolution relative to the full resolution, between 0 and 1, by default 0.5.
+     * The scale is raised up to 1 while the target frame rate is held
+     */
+    enableDynamicResolution(enable, targetFps, minScale) { this.sceneRenderer.enableDynamicResolution(enable, targetFps, minScale) }
+
+    /**
+     * Renders the current frame at the full resolution, even while the dynamic resolution has lowered it, and returns it as an image
+     * @param {String} mimeType image format, by default 'image/png'
+     * @param {Number} quality quality between 0 and 1 for lossy formats such as 'image/jpeg'
+     * @returns {String} data url of the image
+     */
+    captureImage(mimeType, quality) { return this.sceneRenderer.captureImage(mimeType, quality) }
+
+    /**
+     * Exports the drawables of all the scene objects that are part of the scene to binary glTF, leaving out the engine-only
+     * helpers such as light targets and camera helpers
+     * @param {any} options optional settings: includeLights, if true then the lights of the scene objects are exported too
+     * @returns {Promise} promise that resolves to a Blob holding the GLB file
+     */
+    exportGLB(options)
+    {
+        let threeJsObjects = []
+        for (let [name, sceneObject] of this.sceneObjectMap)
+        {
+            if (this.inactiveObjNameMap.has(name))
+                continue
+            for (let drawable of sceneObject.getDrawables())
+                threeJsObjects.push(drawable.object)
+            if (options != undefined && options != null && options.includeLights)
+                threeJsObjects.push(...sceneObject.getLights())
+        }
+        return SceneExporter.exportGLB(threeJsObjects, options)
+    }
+
+    /**
+     * Enables rendering on demand. A frame is then rendered only when the camera moves, input arrives on the canvas or the
+     * keyboard, an object is animating or marks itself dirty, a material transition runs or requestRender is called.
+     * Once the scene is idle, the last frame is refined over the next frames by rendering it with more and more samples.
+     * Render settings changed directly through SceneManager should be followed by requestRender.
+     * @param {Boolean} enable if true then frames are rendered on demand, otherwise every frame is rendered
+     * @param {Number} maxRefinementLevel optional number of refinement frames rendered once idle, each doubling the samples
+     * per pixel of the previous one. 0 disables the refinement. By default 3.
+     */
+    setRenderOnDemand(enable, maxRefinementLevel)
+    {
+        this.renderOnDemand = enable
+        this.maxRefinementLevel = (maxRefinementLevel != undefined && maxRefinementLevel != null) ? maxRefinementLevel : 3
+        this.requestRender()
+    }
+
+    /**
+     * Called whenever the size of the canvas changes. The new size is passed to the renderer, which renders at that size from
+     * the next frame onwards. A canvas that is hidden has no size and keeps the previous one.
+     * @param {DOMRectReadOnly} contentRect content box of the canvas in css pixels
+     */
+    onCanvasResize(contentRect)
+    {
+        if (contentRect.width > 0 && contentRect.height > 0)
+        {
+            this.sceneRenderer.setSize(contentRect.width, contentRect.height)
+            this.requestRender()
+        }
+    }
+
+    /**
+     * Asks for a new frame to be rendered when rendering on demand
+     */
+    requestRender() { this.renderRequested = true }
+
+    /**
+     * Returns the clock of the render loop, which can be used to pause or scale the time, or to enable the fixed timestep mode
+     * @returns {FrameClock} the clock
+     */
+    getClock() { return this.clock }
+
     /**
      * The loop that renders all drawable objects into the screen.
-     * This functions resizes camera based on screen aspect ratio, checks if there are any new objects ready to be part of scene,
-     * and notifies thos objects at the end of each iteration of render loop.
+     * This functions resizes camera based on the size of the canvas, checks if there are any new objects ready to be part of scene,
+     * advances the animations and the material transitions and notifies thos objects at the end of each iteration of render loop.
      */
     renderLoop()
     {
+        this.clock.tick(performance.now())
         if (this.activeCameraManager != null && this.activeCameraManager != undefined)
         {
-            this.activeCameraManager.setAspectRatio(window.innerWidth/window.innerHeight)
+            let size = this.sceneRenderer.getSize()
+            this.activeCameraManager.setViewportSize(size.x, size.y)
             this.activeCameraManager.updateMatrices()
             this.queryReadyObjects()
-            this.sceneRenderer.render()
+            for (let i=0; i<this.clock.getStepCount(); i++)
+                this.updateAnimations(this.clock.getStepDelta())
+            MaterialTransitions.update()
+            if (this.needsRender())
+            {
+                if (this.renderedLastFrame)
+                    this.sceneRenderer.updateDynamicResolution(this.clock.getRealDelta())
+                this.renderRequested = false
+                this.refinementLevel = 0
+                this.sceneRenderer.setRefinementLevel(0)
+                this.sceneRenderer.render()
+                this.renderedLastFrame = true
+            }
+            else
+            {
+                if (this.refinementLevel < this.maxRefinementLevel)
+                {
+                    this.refinementLevel++
+                    this.sceneRenderer.setRefinementLevel(this.refinementLevel)
+                    this.sceneRenderer.render()
+                }
+                this.renderedLastFrame = false
+            }
             this.notifyObjects()
         }
         window.requestAnimationFrame(()=>this.renderLoop())
     }
 
+    /**
+     * Checks if a new frame has to be rendered. Every frame has to be rendered unless rendering on demand.
+     * The dirty state of all the scene objects is consumed.
+     * @returns {Boolean} true if the frame has to be rendered
+     */
+    needsRender()
+    {
+        let needsRender = !this.renderOnDemand || this.renderRequested || MaterialTransitions.isActive()
+        for (let [name, sceneObject] of this.sceneObjectMap)
+        {
+            if (!this.inactiveObjNameMap.has(name))
+                needsRender = sceneObject.consumeDirty() || sceneObject.isAnimating() || needsRender
+        }
+        let camera = this.activeCameraManager.getCamera()
+        camera.updateWorldMatrix(true, false)
+        if (!camera.matrixWorld.equals(this.lastCameraMatrix) || !camera.projectionMatrix.equals(this.lastProjectionMatrix))
+        {
+            this.lastCameraMatrix.copy(camera.matrixWorld)
+            this.lastProjectionMatrix.copy(camera.projectionMatrix)
+            needsRender = true
+        }
+        return needsRender
+    }
+
+    /**
+     * Advances the animations of the scene objects that are part of the scene. Called once per step of the clock.
+     * @param {Number} deltaSeconds time the step advances by in seconds
+     */
+    updateAnimations(deltaSeconds)
+    {
+        for (let [name, sceneObject] of this.sceneObjectMap)
+        {
+            if (!this.inactiveObjNameMap.has(name))
+                sceneObject.updateAnimationFrame(deltaSeconds)
+        }
+    }
+
     /**
      * Notifies scene object at the end of every iteration of the render loop.
      */
@@ -398,7 +674,7 @@ export class SceneManager
     {
         let sceneObjects = this.sceneObjectMap.values()
         for (let sceneObject of sceneObjects)
-            sceneObject.onSceneRender(this)
+            sceneObject.onSceneRender(this, this.clock)
     }
 
     /**
@@ -424,6 +700,7 @@ export class SceneManager
 
     /**
      * Adds a threejs object into the threejs scene within SceneCore and registers that same object as ray castable if rayCastable value is true.
+     * The geometries, materials and textures of the object are retained in the AssetRegistry on behalf of the scene object.
      * @param {SceneObject} sceneObject instance of SceneObject class
      */
     addToScene(sceneObject) 
@@ -432,13 +709,14 @@ export class SceneManager
         let lights = sceneObject.getLights()
         for (let drawable of drawables)
         {
-            this.sceneRenderer.add(drawable.object, lights.length > 0)
+            AssetRegistry.retainObject3D(sceneObject, drawable.object)
+            this.sceneRenderer.add(drawable.object)
             if (drawable.isRayCastable)
                 this.raycaster.add(sceneObject.name, drawable.object)
         }
         for (let light of lights)  
-            this.sceneRenderer.add(light.object, false)
-
+            this.sceneRenderer.add(light.object)
+        this.requestRender()
     }
 
     /**
@@ -447,6 +725,7 @@ export class SceneManager
      */
     removeFromScene(sceneObject)
     {
+        this.requestRender()
         let drawables = sceneObject.getDrawables()
         let lights = sceneObject.getLights()
         for (let drawable of drawables)
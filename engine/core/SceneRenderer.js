@@ -17,6 +17,9 @@ import { OutlinePass } from '../../node_modules/three/examples/jsm/postprocessin
 import { FXAAShader } from '../../node_modules/three/examples/jsm/shaders/FXAAShader.js'
 import { Misc } from '../helpers/misc.js'
 import { Stats } from './Stats.js'
+import { ResolutionScaler } from './ResolutionScaler.js'
+import { PostProcessingPipeline, PostProcessingPass } from './PostProcessingPipeline.js'
+import { Glow } from './Glow.js'
 
 /**
  * Responsible for rendering the overall scene
@@ -30,13 +33,14 @@ export class SceneRenderer
     constructor(canvas, saveDrawBuffer)
     {
         this.shouldRender = false
+        this.size = (canvas.clientWidth > 0 && canvas.clientHeight > 0) ? new THREE.Vector2(canvas.clientWidth, canvas.clientHeight) 
+            : new THREE.Vector2(window.innerWidth, window.innerHeight)
         this.scene = new THREE.Scene()
         this.renderer = new THREE.WebGLRenderer({canvas, alpha: true, preserveDrawingBuffer: (saveDrawBuffer != undefined && saveDrawBuffer != null) ? saveDrawBuffer : false})
         this.renderer.shadowMap.enabled = true
         this.renderer.shadowMap.type = THREE.PCFSoftShadowMap
         this.renderer.toneMapping = THREE.LinearToneMapping
         this.renderer.toneMappingExposure = 1
-        this.bloomObjects = []
         this.mainSceneObjects = []
         this.dataMap = new Map()
 
@@ -52,7 +56,8 @@ export class SceneRenderer
 
         this.bloomIntensity = 0
         this.bloomPercent = 1
-        this.sceneBloomPass = new UnrealBloomPass(new THREE.Vector2(window.innerWidth, window.innerHeight), this.bloomIntensity, 0, 0)
+        this.sceneBloomPass = new UnrealBloomPass(this.size.clone(), this.bloomIntensity, 0, 0)
+        this.sceneBloomPass.enabled = false
         this.renderPass = null
         this.ssaoPass = null
         this.ssaaPass = null
@@ -65,28 +70,86 @@ export class SceneRenderer
         this.fxaaPass = new ShaderPass(new THREE.ShaderMaterial(FXAAShader))
         this.colorBalancePass = new ColorBalancePass(new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3())
         this.gammaPass = new GammaCorrectionPass(2.2)
-        this.bloomComposer.addPass(new UnrealBloomPass(new THREE.Vector2(window.innerWidth, window.innerHeight), 3, 1, 0))
+        this.bloomComposer.addPass(new UnrealBloomPass(this.size.clone(), 3, 1, 0))
         this.sceneRenderComposer.addPass(this.sceneBloomPass)
-        this.finalComposer.addPass(this.pixelMergerPass)
-        this.finalComposer.addPass(new PixelAdderPass(null, this.bloomComposer.readBuffer.texture, 1, 3))
-        this.finalComposer.addPass(this.saturationPass)
-        this.finalComposer.addPass(this.contrastPass)
-        this.finalComposer.addPass(this.brightnessPass)
-        this.finalComposer.addPass(this.sharpnessPass)
-        this.finalComposer.addPass(this.fxaaPass)
-        this.finalComposer.addPass(this.colorBalancePass)
-        this.finalComposer.addPass(this.gammaPass)
+        this.postProcessing = new PostProcessingPipeline(this.finalComposer)
+        this.postProcessing.add(PostProcessingPass.PIXEL_MERGER, this.pixelMergerPass)
+        this.postProcessing.add(PostProcessingPass.BLOOM, new PixelAdderPass(null, this.bloomComposer.readBuffer.texture, 1, 3))
+        this.postProcessing.add(PostProcessingPass.SATURATION, this.saturationPass)
+        this.postProcessing.add(PostProcessingPass.CONTRAST, this.contrastPass)
+        this.postProcessing.add(PostProcessingPass.BRIGHTNESS, this.brightnessPass)
+        this.postProcessing.add(PostProcessingPass.SHARPNESS, this.sharpnessPass)
+        this.postProcessing.add(PostProcessingPass.FXAA, this.fxaaPass)
+        this.postProcessing.add(PostProcessingPass.COLOR_BALANCE, this.colorBalancePass)
+        this.postProcessing.add(PostProcessingPass.GAMMA, this.gammaPass)
         this.groundReflector = null
         this.envmap = new THREE.Color(1, 1, 1)
-        this.fxaaEnabled = true
         this.ssaaEnabled = false
         this.ssaoEnabled = true
         this.outlining = false
+        this.refinementLevel = 0
+        this.refinementBase = null
+        this.maxPixelRatio = 2
+        this.renderScale = 1
+        this.resolutionScaler = null
+        this.appliedSize = null
+        this.bloomCleared = false
         this.blackMaterial = new THREE.MeshBasicMaterial({color: new THREE.Color(0, 0, 0)})
+        this.hiddenMaterial = new THREE.MeshBasicMaterial({ visible: false })
 
         this.stats = null
     }
 
+    /**
+     * Sets the size the scene is rendered at. Called by SceneManager whenever the size of the canvas changes.
+     * The style of the canvas is left as it is, so its size stays under the control of the page layout.
+     * @param {Number} width width of the canvas in css pixels
+     * @param {Number} height height of the canvas in css pixels
+     */
+    setSize(width, height) { this.size.set(width, height) }
+
+    /**
+     * Returns the size the scene is rendered at
+     * @returns {THREE.Vector2} width and height of the canvas in css pixels
+     */
+    getSize() { return this.size }
+
+    /**
+     * Caps the device pixel ratio the scene is rendered at, so that high density screens do not render more pixels than needed
+     * @param {Number} maxPixelRatio highest number of device pixels rendered per css pixel, by default 2
+     */
+    setMaxPixelRatio(maxPixelRatio) { this.maxPixelRatio = maxPixelRatio }
+
+    /**
+     * Enables the dynamic resolution, which lowers the resolution the scene, bloom and ssao are rendered at whenever the frame
+     * rate drops below the target, and raises it again once the target is held. The canvas keeps its full resolution.
+     * @param {Boolean} enable if true then the resolution follows the frame rate, otherwise the scene is rendered at the full resolution
+     * @param {Number} targetFps frame rate to be held in frames per second, by default 60
+     * @param {Number} minScale lowest scale of the resolution relative to the full resolution, between 0 and 1, by default 0.5.
+     * The scale is raised up to 1 while the target frame rate is held
+     */
+    enableDynamicResolution(enable, targetFps, minScale)
+    {
+        this.resolutionScaler = (enable) ? new ResolutionScaler(targetFps, minScale) : null
+        this.renderScale = 1
+    }
+
+    /**
+     * Called by SceneManager after each frame that follows another rendered frame, for adjusting the dynamic resolution
+     * @param {Number} frameTimeInSeconds time between the two frames in seconds
+     */
+    updateDynamicResolution(frameTimeInSeconds)
+    {
+        if (this.resolutionScaler != null && this.resolutionScaler.update(frameTimeInSeconds))
+            this.renderScale = this.resolutionScaler.getScale()
+    }
+
+    /**
+     * Returns the scale of the resolution the scene is rendered at, which is below 1 while the dynamic resolution has lowered it
+     * @returns {Number} the render scale
+     */
+    getRenderScale() { return this.renderScale }
+
     setEnvironmentMap(envmap)
     {
         envmap.mapping = THREE.EquirectangularReflectionMapping
@@ -96,13 +159,22 @@ export class SceneRenderer
     setBloomPercentage(percent) 
     {
         this.bloomPercent = percent
-        this.sceneBloomPass.strength = this.bloomIntensity * this.bloomPercent 
+        this.updateSceneBloom()
     }
 
     setBloomIntensity(intensity) 
     {
         this.bloomIntensity = intensity 
-        this.sceneBloomPass.strength = this.bloomIntensity * this.bloomPercent  
+        this.updateSceneBloom()
+    }
+
+    /**
+     * Sets the strength of the bloom applied on the whole scene, which is skipped while the strength is 0
+     */
+    updateSceneBloom()
+    {
+        this.sceneBloomPass.strength = this.bloomIntensity * this.bloomPercent
+        this.sceneBloomPass.enabled = this.sceneBloomPass.strength > 0
     }
 
     setBloomThreshold(threshold) { this.sceneBloomPass.threshold = threshold }
@@ -138,41 +210,74 @@ export class SceneRenderer
 
     setGamma(gamma) { this.gammaPass.setGamma(gamma) }
 
-    enableFXAA(enable)
+    enableFXAA(enable) { this.postProcessing.enable(PostProcessingPass.FXAA, enable) }
+
+    /**
+     * Returns the post processing pipeline, through which the passes applied on the rendered scene can be enabled, disabled,
+     * reordered, or added by their names
+     * @returns {PostProcessingPipeline} the post processing pipeline
+     */
+    getPostProcessing() { return this.postProcessing }
+
+    enableSSAA(enable)
     {
-        if (enable && !this.fxaaEnabled)
-        {
-            let fxaaIndex = this.finalComposer.passes.length - 2
-            this.finalComposer.insertPass(this.fxaaPass, fxaaIndex)
-            this.fxaaEnabled = true
-        }
-        else if (!enable && this.fxaaEnabled)
-        {    
-            this.finalComposer.removePass(this.fxaaPass)
-            this.fxaaEnabled = false
-        }
+        this.setRefinementLevel(0)
+        this.switchSceneRenderPass(enable)
     }
 
-    enableSSAA(enable)
+    setSSAASampleLevel(samplelevel) 
+    { 
+        this.setRefinementLevel(0)
+        this.ssaaPass.sampleLevel = samplelevel 
+    }
+
+    /**
+     * Renders the scene either through the SSAA pass or through the plain render pass. Nothing changes if the scene is
+     * already rendered through the requested pass. Otherwise the pixel merger pass is pointed at the buffer the scene is
+     * now rendered into, so the passes of the post processing pipeline stay as they are.
+     * @param {Boolean} enable if true then the scene is rendered through the SSAA pass
+     */
+    switchSceneRenderPass(enable)
     {
-        if (enable && !this.ssaaEnabled)
+        if (enable == this.ssaaEnabled)
+            return
+        if (enable)
         {
             this.sceneRenderComposer.removePass(this.renderPass)
             this.sceneRenderComposer.insertPass(this.ssaaPass, 0)
-            this.ssaaEnabled = true
         }
-        else if (!enable && this.ssaaEnabled)
+        else
         {
             this.sceneRenderComposer.removePass(this.ssaaPass)
             this.sceneRenderComposer.insertPass(this.renderPass, 0)
-            this.ssaaEnabled = false
         }
-        this.finalComposer.removePass(this.pixelMergerPass)
-        this.pixelMergerPass = new PixelMergerPass(this.sceneRenderComposer.readBuffer.texture, this.ssaoComposer.readBuffer.texture)
-        this.finalComposer.insertPass(this.pixelMergerPass, 0)
+        this.ssaaEnabled = enable
+        this.pixelMergerPass.material.uniforms.texture1.value = this.sceneRenderComposer.readBuffer.texture
     }
 
-    setSSAASampleLevel(samplelevel) { this.ssaaPass.sampleLevel = samplelevel }
+    /**
+     * Sets how much the next frames are refined. Level 0 renders with the SSAA settings chosen through enableSSAA and
+     * setSSAASampleLevel, higher levels render with SSAA at that sample level, i.e. 2^level samples per pixel.
+     * @param {Number} level refinement level
+     */
+    setRefinementLevel(level)
+    {
+        if (this.ssaaPass == null || level == this.refinementLevel)
+            return
+        if (this.refinementLevel == 0)
+            this.refinementBase = { ssaaEnabled: this.ssaaEnabled, sampleLevel: this.ssaaPass.sampleLevel }
+        if (level > 0)
+        {
+            this.switchSceneRenderPass(true)
+            this.ssaaPass.sampleLevel = Math.max(level, (this.refinementBase.ssaaEnabled) ? this.refinementBase.sampleLevel : 0)
+        }
+        else
+        {
+            this.switchSceneRenderPass(this.refinementBase.ssaaEnabled)
+            this.ssaaPass.sampleLevel = this.refinementBase.sampleLevel
+        }
+        this.refinementLevel = level
+    }
 
     setShadowsColorBalance(shadowsRgb) { this.colorBalancePass.setShadows(shadowsRgb) }
 
@@ -196,7 +301,7 @@ export class SceneRenderer
     {
         if (!this.outlining && threeJsCamera != undefined && threeJsCamera != null)
         {
-            this.outlinePass = new OutlinePass(new THREE.Vector2(window.innerWidth, window.innerHeight), this.scene, threeJsCamera)
+            this.outlinePass = new OutlinePass(this.size.clone(), this.scene, threeJsCamera)
             this.sceneRenderComposer.insertPass(this.outlinePass, 1)
             this.outlining = true
         }
@@ -205,58 +310,30 @@ export class SceneRenderer
     }
 
     /**
-     * This function adds the threejs object based on its properties. If the threejs object is light, then it will be
-     * included in the threejs scene directly. If the threejs object is a luminant mesh, then the threejs object will 
-     * be stored in bloomObjects array for rendering later. And if threejs object is a non-luminant mesh, then the 
-     * threejs object will be directly added to the scene and also will be stored in mainSceneObjects array for later use.
-     * @param {String} name name of the sceneObject that is registered in the scene manager.
+     * This function adds the threejs object into the threejs scene. If the threejs object is not a light, then it will also
+     * be stored in mainSceneObjects array, whose meshes are bloomed if they are marked as glowing through Glow.
      * @param {THREE.Object3D} threeJsObject the threejsobject to be rendered or included in the threejs scene
-     * @param {Boolean} isLuminant if true then the objet3D will be rendered with bloom effect
      */
-    add(threeJsObject, isLuminant)
+    add(threeJsObject)
     {
-        if (threeJsObject.isLight != undefined)  
-            this.addToScene(threeJsObject)
-        else
-        { 
-            if (isLuminant)
-                this.bloomObjects.push(threeJsObject)
-            else
-            {    
-                Misc.postOrderTraversal(threeJsObject, obj=>{
-                    if (obj.material != undefined)
-                        this.dataMap.set(obj.uuid, { material: obj.material, visibility: obj.visible }) 
-                })
-                this.mainSceneObjects.push(threeJsObject)
-                this.addToScene(threeJsObject)
-            }
-        }
+        if (!threeJsObject.isLight)
+            this.mainSceneObjects.push(threeJsObject)
+        this.addToScene(threeJsObject)
     }
 
     /**
      * Removes the threejs object from the scene and the array in which it is stored.
-     * @param {String} name name of the sceneObject that is registered in the scene manager.
+     * @param {THREE.Object3D} threeJsObject the threejs object to be removed
      */
     remove(threeJsObject)
     {
-        if (threeJsObject.isLight)
-            this.removeFromScene(threeJsObject)
-        else
+        let index = this.mainSceneObjects.indexOf(threeJsObject)
+        if (index >= 0)
         {
-            let index = this.bloomObjects.indexOf(threeJsObject)
-            if (index < 0)
-            {    
-                index = this.mainSceneObjects.indexOf(threeJsObject)
-                if (index >= 0)
-                {
-                    Misc.postOrderTraversal(threeJsObject, obj => this.dataMap.delete(obj.uuid))    
-                    this.removeFromScene(threeJsObject)
-                    this.mainSceneObjects.splice(index, 1)
-                }
-            }
-            this.removeFromScene(threeJsObject)
-            this.bloomObjects.splice(index, 1)
+            Misc.postOrderTraversal(threeJsObject, obj => this.dataMap.delete(obj.uuid))
+            this.mainSceneObjects.splice(index, 1)
         }
+        this.removeFromScene(threeJsObject)
     }
 
     /**
@@ -265,13 +342,14 @@ export class SceneRenderer
      */
     setup(threeJsCamera) 
     { 
+        this.setRefinementLevel(0)
         this.shouldRender = false
         this.deletePassInComposer(this.renderPass, this.bloomComposer)
         this.deletePassInComposer(this.ssaoPass, this.ssaoComposer)
         this.deletePassInComposer((this.ssaaEnabled) ? this.ssaaPass : this.renderPass, this.sceneRenderComposer)
         this.renderPass = new RenderPass(this.scene, threeJsCamera)
         this.bloomComposer.insertPass(this.renderPass, 0)
-        this.ssaoPass = new SSAOPass(this.scene, threeJsCamera, window.innerWidth, window.innerHeight)
+        this.ssaoPass = new SSAOPass(this.scene, threeJsCamera, this.size.x, this.size.y)
         this.ssaoPass.kernelRadius = 0.115
         this.ssaoPass.output = SSAOPass.OUTPUT.Blur
         this.ssaoPass.minDistance = 0.00004
@@ -286,53 +364,138 @@ export class SceneRenderer
 
     /**
      * Renders the scene. This function should be called on every iteration of the render loop.
-     * In case of this project, the render loop has been setup in SceneManagerCore class
+     * In case of this project, the render loop has been setup in SceneManagerCore class.
+     * The bloom and ssao subpasses are skipped while they are disabled, and the bloom subpass is also skipped while no mesh glows.
      */
     render()
     {
         if (this.shouldRender)
         {
-            this.renderer.setSize(window.innerWidth, window.innerHeight)
-            this.prepareForSpecialEffects()
-            this.bloomComposer.setSize(window.innerWidth, window.innerHeight)
-            this.bloomComposer.render()
-            if (this.ssaoEnabled)
+            this.resize()
+            let bloomEnabled = this.postProcessing.isEnabled(PostProcessingPass.BLOOM)
+            if (bloomEnabled || this.ssaoEnabled)
             {
-                this.ssaoComposer.setSize(window.innerWidth, window.innerHeight)
-                this.ssaoComposer.render()
+                let glowing = this.prepareForSpecialEffects()
+                if (bloomEnabled)
+                    this.renderBloom(glowing)
+                if (this.ssaoEnabled)
+                    this.ssaoComposer.render()
+                this.prepareForFinalPass()
             }
-            this.prepareForFinalPass()
-            this.sceneRenderComposer.setSize(window.innerWidth, window.innerHeight)
+            else
+                this.scene.background = this.envmap
             this.sceneRenderComposer.render()
-            if (this.fxaaEnabled)
-            {
-                this.fxaaPass.material.uniforms['resolution'].value.x = 1/(window.innerWidth * this.renderer.getPixelRatio())
-                this.fxaaPass.material.uniforms['resolution'].value.y = 1/(window.innerHeight * this.renderer.getPixelRatio())
-            }
-            this.finalComposer.setSize(window.innerWidth, window.innerHeight)
             this.finalComposer.render()
             if (this.stats != null)
                 this.stats.update()
         }
     }
 
+    /**
+     * Renders the current frame at the full resolution, whatever the render scale, and returns it as an image
+     * @param {String} mimeType image format, by default 'image/png'
+     * @param {Number} quality quality between 0 and 1 for lossy formats such as 'image/jpeg'
+     * @returns {String} data url of the image
+     */
+    captureImage(mimeType, quality)
+    {
+        let renderScale = this.renderScale
+        this.renderScale = 1
+        this.render()
+        let image = this.renderer.domElement.toDataURL(mimeType, quality)
+        this.renderScale = renderScale
+        return image
+    }
+
+    /**
+     * Resizes the renderer, the composers and their passes if the size of the canvas, the pixel ratio or the render scale
+     * has changed since the previous frame. The canvas and the final composer keep the full resolution, while the scene,
+     * bloom and ssao are rendered at the resolution lowered by the render scale and upscaled by the final composer.
+     * Refined frames are always rendered at the full resolution.
+     */
+    resize()
+    {
+        let width = this.size.x
+        let height = this.size.y
+        let pixelRatio = Math.min(window.devicePixelRatio, this.maxPixelRatio)
+        let renderScale = (this.refinementLevel > 0) ? 1 : this.renderScale
+        let applied = this.appliedSize
+        if (applied != null && applied.width == width && applied.height == height && applied.pixelRatio == pixelRatio 
+            && applied.renderScale == renderScale)
+            return
+        this.appliedSize = { width: width, height: height, pixelRatio: pixelRatio, renderScale: renderScale }
+        this.bloomCleared = false
+        this.renderer.setPixelRatio(pixelRatio)
+        this.renderer.setSize(width, height, false)
+        for (let composer of [this.bloomComposer, this.ssaoComposer, this.sceneRenderComposer])
+        {
+            composer.setPixelRatio(pixelRatio * renderScale)
+            composer.setSize(width, height)
+        }
+        this.finalComposer.setPixelRatio(pixelRatio)
+        this.finalComposer.setSize(width, height)
+        this.fxaaPass.material.uniforms['resolution'].value.x = 1/(width * pixelRatio)
+        this.fxaaPass.material.uniforms['resolution'].value.y = 1/(height * pixelRatio)
+    }
+
+    /**
+     * Renders the glowing meshes into the bloom composer, whose output is added onto the scene by the bloom pass of the
+     * post processing pipeline. While no mesh glows the output is cleared once and the bloom composer is skipped.
+     * @param {Boolean} glowing true if at least one mesh glows
+     */
+    renderBloom(glowing)
+    {
+        if (glowing)
+        {
+            this.bloomComposer.render()
+            this.bloomCleared = false
+        }
+        else if (!this.bloomCleared)
+        {
+            let renderTarget = this.renderer.getRenderTarget()
+            this.renderer.setRenderTarget(this.bloomComposer.readBuffer)
+            this.renderer.clear()
+            this.renderer.setRenderTarget(renderTarget)
+            this.bloomCleared = true
+        }
+    }
+
+    /**
+     * Prepares the scene for the bloom and ssao subpasses. The glowing meshes are drawn with their glow materials and the
+     * other opaque meshes in black, so that they hide the glow behind them. The current material and visibility of every
+     * object are stored so that prepareForFinalPass restores them, including the materials that were replaced after the
+     * object was added.
+     * @returns {Boolean} true if at least one mesh glows
+     */
     prepareForSpecialEffects()
     {
+        let glowing = false
         for (let mainSceneObject of this.mainSceneObjects)
         {    
             Misc.postOrderTraversal(mainSceneObject, obj=>{
-                if (obj.material != undefined)
+                if (obj.material != undefined && !obj.isLight)
                 {
-                    if (obj.material.transparent || obj.material.opacity < 1 || obj.material._alphaTest > 0)
+                    this.dataMap.set(obj.uuid, { material: obj.material, visibility: obj.visible }) 
+                    let materials = (Array.isArray(obj.material)) ? obj.material : [obj.material]
+                    let effectMaterials = materials.map(material => {
+                        let strength = Glow.getStrength(obj, material)
+                        if (strength > 0)
+                        {
+                            glowing ||= obj.visible
+                            return Glow.getMaterial(material, strength)
+                        }
+                        return (material.transparent || material.opacity < 1 || material.alphaTest > 0) ? null : this.blackMaterial
+                    })
+                    if (effectMaterials.every(material => material == null))
                         obj.visible = false
-                    else if (obj.isLight == undefined || !obj.isLight)
-                        obj.material = this.blackMaterial
+                    else
+                        obj.material = (Array.isArray(obj.material)) ? effectMaterials.map(material => (material != null) ? material : this.hiddenMaterial) 
+                            : effectMaterials[0]
                 }
             })
         }
-        for (let bloomSceneObject of this.bloomObjects)
-            Misc.postOrderTraversal(bloomSceneObject, obj=>this.addToScene(obj))
         this.scene.background = null
+        return glowing
     }
 
     /**
@@ -351,8 +514,6 @@ export class SceneRenderer
                 }
             })
         }
-        for (let bloomSceneObject of this.bloomObjects)
-            Misc.postOrderTraversal(bloomSceneObject, obj=>this.removeFromScene(obj))
         this.scene.background = this.envmap
     }
 
@@ -63,4 +63,10 @@ export class GaussianBlurPass extends ShaderPass
             fragmentShader : GaussianBlurShader.fragmentShader,
         }), 'baseTexture')
     }
+
+    setSize(width, height)
+    {
+        this.material.uniforms.imageWidth.value = width
+        this.material.uniforms.imageHeight.value = height
+    }
 }
\ No newline at end of file
@@ -68,4 +68,10 @@ export class SharpnessPass extends ShaderPass
     }
 
     setSharpness(sharpness) { this.material.uniforms.sharpness.value = sharpness }
+
+    setSize(width, height)
+    {
+        this.material.uniforms.imageWidth.value = width
+        this.material.uniforms.imageHeight.value = height
+    }
 }
\ No newline at end of file
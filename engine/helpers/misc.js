@@ -1,5 +1,6 @@
 import { Color } from 'three'
 import { Vector3 } from 'three'
+import { Vector2 } from 'three'
 
 export const Misc = 
 {
@@ -35,6 +36,20 @@ export const Misc =
         return Number.parseFloat(pxValue, 10)
     },
 
+    /**
+     * Converts the position of a pointer event from the coordinates of the browser window to the coordinates of the element,
+     * whose origin is the top left corner of the element
+     * @param {HTMLElement} element html element, e.g. the canvas
+     * @param {Number} clientX x-coordinate of the pointer relative to the browser window, e.g. event.clientX
+     * @param {Number} clientY y-coordinate of the pointer relative to the browser window, e.g. event.clientY
+     * @returns {THREE.Vector2} position of the pointer relative to the element in css pixels
+     */
+    clientToElement : function(element, clientX, clientY)
+    {
+        let rect = element.getBoundingClientRect()
+        return new Vector2(clientX - rect.left, clientY - rect.top)
+    },
+
     /**
      * Checks if the app is running on handheld device or not.
      * @returns {Boolean} true if app is runnign on handheld device, false if otherwise
@@ -91,6 +106,29 @@ export const Misc =
         return color
     },
 
+    /**
+     * Checks if any of the names matches any of the glob patterns. A pattern may use * to match any run of
+     * characters and ? to match a single character.
+     * @param {Array} names names to be checked
+     * @param {String | Array} globs glob pattern or array of glob patterns
+     * @returns {Boolean} true if at least one name matches at least one pattern
+     */
+    matchesGlob : function(names, globs)
+    {
+        let patterns = (Array.isArray(globs)) ? globs : [globs]
+        for (let pattern of patterns)
+        {
+            let escaped = String(pattern).replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            let regex = new RegExp('^' + escaped.replace(/\*/g, '.*').replace(/\?/g, '.') + '$')
+            for (let name of names)
+            {
+                if (name != undefined && name != null && regex.test(name))
+                    return true
+            }
+        }
+        return false
+    },
+
     /**
      * Traverses through the mesh tree in post order
      * @param {THREE.Object3D} threeJsObject threejs object3d object